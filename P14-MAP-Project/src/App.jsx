@@ -1,16 +1,71 @@
-import React, { useState, useEffect, useRef } from "react";
+import React, { useState, useEffect, useCallback, useMemo, useRef, useId } from "react";
 import {
   MapContainer,
   TileLayer,
   Marker,
   Popup,
   Polyline,
+  Polygon,
+  CircleMarker,
+  Circle,
   useMap,
+  useMapEvents,
 } from "react-leaflet";
 import "leaflet/dist/leaflet.css";
 import L from "leaflet";
-import { FaTruck, FaCar, FaBus, FaPlus, FaTimes, FaRoute, FaWalking, FaBicycle, FaMotorcycle } from "react-icons/fa";
+import { FaPlus, FaTimes, FaRoute, FaFlag, FaGripVertical, FaChevronDown, FaChevronUp, FaCog, FaLink, FaBookmark, FaAddressBook, FaStar, FaFileImport, FaDownload, FaLayerGroup, FaPrint, FaClock, FaTruck, FaCheckCircle, FaLocationArrow, FaPlay } from "react-icons/fa";
 import { GoArrowRight } from "react-icons/go";
+import { routingProvider, optimizeStopOrder } from "./routing";
+import { geocoder, reverseGeocode } from "./geocoding";
+import AddressAutocomplete from "./components/AddressAutocomplete";
+import SavedRoutesPanel from "./components/SavedRoutesPanel";
+import AddressBookPanel from "./components/AddressBookPanel";
+import ImportStopsDialog from "./components/ImportStopsDialog";
+import OverlaysPanel from "./components/OverlaysPanel";
+import PrintManifest from "./components/PrintManifest";
+import FleetPanel from "./components/FleetPanel";
+import StopStatusEditor from "./components/StopStatusEditor";
+import NavigationPanel from "./components/NavigationPanel";
+import RouteSimulator from "./components/RouteSimulator";
+import { useNavigation } from "./hooks/useNavigation";
+import { watchGpsPosition } from "./navigation";
+import { readOverlayFile, overlayBounds } from "./overlays";
+import { formatDistance, formatDuration } from "./format";
+import { downloadFile } from "./download";
+import { exportFormats, exportItinerary } from "./exportRoute";
+import { defaultDeparture, computeSchedule, formatTime, formatWindow } from "./schedule";
+import { loadFleet, persistFleet, createFleetVehicle, fleetPlanKey, planFleetRoutes } from "./fleet";
+import {
+  stopStates,
+  getStopState,
+  changeStopState,
+  isStopFinished,
+  loadStopStatus,
+  persistStopStatus,
+  expireStopStatuses,
+} from "./stopStatus";
+import {
+  createFavoriteId,
+  loadFavorites,
+  persistFavorites,
+  listCategories,
+  findFavoriteAt,
+  favoriteToPlace,
+} from "./favorites";
+import {
+  encodeItinerary,
+  readSharedItinerary,
+  readSharedMapView,
+  writeShareHash,
+  formatMapView,
+} from "./share";
+import {
+  vehicleOptions,
+  vehicleAttributeFields,
+  getVehicleOption,
+  loadVehicleAttributes,
+  saveVehicleAttributes,
+} from "./vehicles";
 
 // Fix for default markers
 delete L.Icon.Default.prototype._getIconUrl;
@@ -28,97 +83,396 @@ const blueIcon = new L.Icon({
   popupAnchor: [0, -30],
 });
 
+// Stop markers take the color of their status; pending stops keep the default icon
+const statusIcons = Object.fromEntries(stopStates.map(({ value, color }) => [value, L.divIcon({
+  className: '',
+  html: `<svg xmlns="http://www.w3.org/2000/svg" width="32" height="32" viewBox="0 0 24 24">
+    <path fill="${color}" stroke="#fff" stroke-width="1.5" d="M12 1.5c-4.1 0-7.5 3.3-7.5 7.4 0 5.6 7.5 13.6 7.5 13.6s7.5-8 7.5-13.6c0-4.1-3.4-7.4-7.5-7.4z"/>
+    <circle cx="12" cy="9" r="3" fill="#fff"/>
+  </svg>`,
+  iconSize: [32, 32],
+  iconAnchor: [16, 32],
+  popupAnchor: [0, -30],
+})]));
+
+const stopIcon = (status) => (status && status.state !== 'pending' ? statusIcons[status.state] : blueIcon);
+
+// Navigation marker: an arrow turned to the heading, or a dot while it is unknown
+const vehicleIcon = (heading) => L.divIcon({
+  className: '',
+  html: heading === null
+    ? '<div style="width:16px;height:16px;border-radius:50%;background:#007bff;border:3px solid #fff;box-shadow:0 0 4px rgba(0,0,0,0.4)"></div>'
+    : `<svg xmlns="http://www.w3.org/2000/svg" width="32" height="32" viewBox="0 0 24 24" style="transform:rotate(${heading}deg)">
+    <path fill="#007bff" stroke="#fff" stroke-width="1.5" d="M12 2l7 19-7-4-7 4z"/>
+  </svg>`,
+  iconSize: heading === null ? [22, 22] : [32, 32],
+  iconAnchor: heading === null ? [11, 11] : [16, 16],
+});
+
 // Fly to position on select
-function FlyToLocation({ position }) {
+function FlyToLocation({ position, zoom = 13 }) {
   const map = useMap();
   useEffect(() => {
-    if (position) map.flyTo(position, 13);
-  }, [position, map]);
+    if (position) map.flyTo(position, zoom);
+  }, [position, zoom, map]);
   return null;
 }
 
-// Draw route with OSRM
-function RouteLayer({ start, deliveryPoints, profile, setDistanceTime }) {
-  const [route, setRoute] = useState(null);
+// Zoom the map to fit a [[south, west], [north, east]] box whenever a new one is given
+function FitBounds({ bounds }) {
+  const map = useMap();
+  useEffect(() => {
+    if (bounds) map.fitBounds(bounds, { padding: [50, 50] });
+  }, [bounds, map]);
+  return null;
+}
+
+// Imported GPX/KML/GeoJSON layers; their waypoints can be added as stops from the popup
+function OverlayLayers({ overlays, onAddStop }) {
+  return overlays.filter((overlay) => overlay.visible).map((overlay) => (
+    <React.Fragment key={overlay.id}>
+      {overlay.lines.map((line, i) => (
+        <Polyline key={`line-${i}`} positions={line} pathOptions={{ color: overlay.color, weight: 4, opacity: 0.8 }} />
+      ))}
+      {overlay.polygons.map((rings, i) => (
+        <Polygon key={`polygon-${i}`} positions={rings} pathOptions={{ color: overlay.color, weight: 2, fillOpacity: 0.15 }} />
+      ))}
+      {overlay.points.map((point, i) => (
+        <CircleMarker
+          key={`point-${i}`}
+          center={[point.lat, point.lng]}
+          radius={6}
+          pathOptions={{ color: '#fff', weight: 2, fillColor: overlay.color, fillOpacity: 1 }}
+        >
+          <Popup>
+            <strong>{point.name || overlay.name}</strong>
+            {point.description && <div>{point.description}</div>}
+            <button onClick={() => onAddStop(point)} style={styles.btnPopupAction}>
+              Add as stop
+            </button>
+          </Popup>
+        </CircleMarker>
+      ))}
+    </React.Fragment>
+  ));
+}
+
+// Stop fields for an imported waypoint, labelled by its coordinates when it has no name
+const overlayPointToStop = ({ lat, lng, name, description }) => {
+  const coordinates = `${lat.toFixed(5)}, ${lng.toFixed(5)}`;
+  return { lat, lng, name: name || coordinates, address: description || coordinates };
+};
+
+// Draw route with the configured routing provider, plus any alternatives it offers as faded lines
+// skipFitRef lets the caller keep the current view for the next route instead of zooming to it
+function RouteLayer({ start, deliveryPoints, roundTrip, vehicle, routes, activeRouteIndex, setRoutes, setDistanceTime, onSelectRoute, skipFitRef }) {
   const map = useMap();
-  const routeRef = useRef(null);
 
   useEffect(() => {
-    if (routeRef.current) {
-      map.removeLayer(routeRef.current);
-    }
-    setRoute(null);
+    let cancelled = false;
+    setRoutes([]);
     setDistanceTime({ distance: null, duration: null });
-    
+
     if (!start || deliveryPoints.length === 0) return;
 
+    const controller = new AbortController();
+
     const fetchRoute = async () => {
-      const coordsList = [start, ...deliveryPoints]
-        .map((p) => `${p.lng},${p.lat}`)
-        .join(";");
+      let newRoutes;
+      try {
+        newRoutes = await routingProvider.route({
+          waypoints: roundTrip ? [start, ...deliveryPoints, start] : [start, ...deliveryPoints],
+          vehicle,
+          alternatives: true,
+          signal: controller.signal,
+        });
+      } catch (error) {
+        if (!cancelled) console.error('Error fetching route:', error);
+        return;
+      }
+      if (cancelled) return;
 
-      const response = await fetch(
-        `https://router.project-osrm.org/route/v1/${profile}/${coordsList}?overview=full&geometries=geojson`
-      );
-      const data = await response.json();
-
-      if (data.routes && data.routes.length > 0) {
-        const routeCoords = data.routes[0].geometry.coordinates.map((c) => [
-          c[1],
-          c[0],
-        ]);
-        setRoute(routeCoords);
-        
-        const newRoute = L.polyline(routeCoords, { color: '#007bff', weight: 6, opacity: 0.8 }).addTo(map);
-        routeRef.current = newRoute;
-        
-        const distance = data.routes[0].distance;
-        const duration = data.routes[0].duration;
-        setDistanceTime({ distance, duration });
-        
-        const bounds = newRoute.getBounds();
-        if (bounds.isValid()) {
+      if (newRoutes.length > 0) {
+        setRoutes(newRoutes);
+        onSelectRoute(newRoutes, 0);
+
+        const bounds = L.latLngBounds(newRoutes[0].coordinates);
+        if (skipFitRef && skipFitRef.current) {
+            skipFitRef.current = false;
+        } else if (bounds.isValid()) {
             map.fitBounds(bounds, { padding: [50, 50] });
         }
       }
     };
     fetchRoute();
-  }, [start, deliveryPoints, profile, setDistanceTime, map]);
 
-  return route ? <Polyline positions={route} color="#007bff" weight={6} opacity={0.8} /> : null;
+    return () => {
+      cancelled = true;
+      controller.abort();
+      setRoutes([]);
+      setDistanceTime({ distance: null, duration: null });
+    };
+  }, [start, deliveryPoints, roundTrip, vehicle, setRoutes, setDistanceTime, onSelectRoute, skipFitRef, map]);
+
+  return (
+    <>
+      {routes.map((route, index) => index !== activeRouteIndex && (
+        <Polyline
+          key={`alt-${index}`}
+          positions={route.coordinates}
+          pathOptions={{ color: '#6c757d', weight: 5, opacity: 0.45 }}
+          eventHandlers={{ click: () => onSelectRoute(routes, index) }}
+        />
+      ))}
+      {/* Keyed by index so the active line is re-added on top of the alternatives */}
+      {routes[activeRouteIndex] && (
+        <Polyline
+          key={`active-${activeRouteIndex}`}
+          positions={routes[activeRouteIndex].coordinates}
+          pathOptions={{ color: '#007bff', weight: 6, opacity: 0.8 }}
+        />
+      )}
+    </>
+  );
 }
 
-// Helper function to format duration
-const formatDuration = (seconds) => {
-  const hours = Math.floor(seconds / 3600);
-  const minutes = Math.floor((seconds % 3600) / 60);
-  let result = '';
-  if (hours > 0) {
-    result += `${hours} hr `;
-  }
-  result += `${minutes} min`;
-  return result.trim();
+// Keep the map view in the shareable URL
+function MapViewSync() {
+  const map = useMapEvents({
+    moveend: () => writeShareHash({ map: formatMapView(map) }),
+  });
+  return null;
+}
+
+// Current vehicle position with its accuracy circle. The camera follows it until
+// the map is dragged by hand.
+function VehicleLayer({ position, isFollowing, onUnfollow }) {
+  const map = useMapEvents({ dragstart: onUnfollow });
+
+  useEffect(() => {
+    if (isFollowing) map.setView([position.lat, position.lng], Math.max(map.getZoom(), 16));
+  }, [map, position, isFollowing]);
+
+  return (
+    <>
+      {position.accuracy > 0 && (
+        <Circle
+          center={[position.lat, position.lng]}
+          radius={position.accuracy}
+          pathOptions={{ color: '#007bff', weight: 1, fillOpacity: 0.1 }}
+          interactive={false}
+        />
+      )}
+      <Marker
+        position={[position.lat, position.lng]}
+        icon={vehicleIcon(position.heading)}
+        interactive={false}
+        zIndexOffset={1000}
+      />
+    </>
+  );
+}
+
+// Right-click (or long-press) menu for setting the start or adding a stop at a map point
+function MapContextMenu({ onSelect }) {
+  const [menu, setMenu] = useState(null);
+
+  useMapEvents({
+    contextmenu: (e) => setMenu({ latlng: e.latlng, place: null, busy: false }),
+  });
+
+  if (!menu) return null;
+
+  // The point is only geocoded once, however many actions use it
+  const lookUp = async () => {
+    if (menu.place) return menu.place;
+    setMenu((prev) => ({ ...prev, busy: true }));
+    const place = await reverseGeocode({ lat: menu.latlng.lat, lng: menu.latlng.lng });
+    setMenu((prev) => (prev && prev.latlng === menu.latlng ? { ...prev, place, busy: false } : prev));
+    return place;
+  };
+
+  const choose = async (type) => {
+    const place = await lookUp();
+    setMenu(null);
+    onSelect(place, type);
+  };
+
+  return (
+    <Popup position={menu.latlng} eventHandlers={{ remove: () => setMenu(null) }}>
+      <div style={styles.contextMenu}>
+        <button onClick={() => choose("start")} disabled={menu.busy} style={styles.contextMenuItem}>
+          Set as start
+        </button>
+        <button onClick={() => choose("end")} disabled={menu.busy} style={styles.contextMenuItem}>
+          Add stop here
+        </button>
+        <button onClick={lookUp} disabled={menu.busy || Boolean(menu.place)} style={styles.contextMenuItem}>
+          What's here?
+        </button>
+        {menu.busy && <div style={styles.contextMenuInfo}>Looking up address...</div>}
+        {menu.place && (
+          <div style={styles.contextMenuInfo}>
+            <strong>{menu.place.name}</strong>
+            <div>{menu.place.label}</div>
+            <div>{menu.latlng.lat.toFixed(5)}, {menu.latlng.lng.toFixed(5)}</div>
+          </div>
+        )}
+      </div>
+    </Popup>
+  );
+}
+
+// Edit the restriction attributes of one vehicle profile
+function VehicleSettingsDialog({ option, attributes, onSave, onClose }) {
+  const [draft, setDraft] = useState(attributes);
+  const fields = vehicleAttributeFields.filter((field) => field.key in attributes);
+
+  const updateField = (key, value) => setDraft((prev) => ({ ...prev, [key]: value }));
+
+  return (
+    <div style={styles.dialogOverlay} onClick={onClose}>
+      <div style={styles.dialog} role="dialog" aria-label={`${option.label} settings`} onClick={(e) => e.stopPropagation()}>
+        <div style={styles.cardHeader}>
+          <option.icon style={{ marginRight: '8px' }} />
+          {option.label} settings
+        </div>
+
+        {fields.length === 0 && (
+          <p style={styles.dialogNote}>This vehicle has no adjustable restrictions.</p>
+        )}
+        {fields.map((field) => (
+          <label key={field.key} style={styles.dialogField}>
+            <span>{field.label}{field.unit ? ` (${field.unit})` : ''}</span>
+            {field.type === 'boolean' ? (
+              <input
+                type="checkbox"
+                checked={Boolean(draft[field.key])}
+                onChange={(e) => updateField(field.key, e.target.checked)}
+              />
+            ) : (
+              <input
+                type="number"
+                min="0"
+                step="any"
+                value={draft[field.key] ?? ''}
+                placeholder="No limit"
+                onChange={(e) => updateField(field.key, e.target.value === '' ? null : Number(e.target.value))}
+                style={styles.dialogInput}
+              />
+            )}
+          </label>
+        ))}
+        {fields.length > 0 && !routingProvider.supportsRestrictions && (
+          <p style={styles.dialogNote}>The current routing provider ignores these restrictions.</p>
+        )}
+
+        <div style={styles.dialogActions}>
+          <button onClick={onClose} style={styles.btnSecondary}>Cancel</button>
+          <button onClick={() => onSave(draft)} style={styles.btnOptimize}>Save</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Name and file a place in the address book
+function FavoriteDialog({ favorite, categories, onSave, onClose }) {
+  const [draft, setDraft] = useState(favorite);
+  const categoryListId = useId();
+
+  const updateField = (key, value) => setDraft((prev) => ({ ...prev, [key]: value }));
+  const canSave = draft.label.trim() !== '';
+
+  return (
+    <div style={styles.dialogOverlay} onClick={onClose}>
+      <div style={styles.dialog} role="dialog" aria-label="Save to address book" onClick={(e) => e.stopPropagation()}>
+        <div style={styles.cardHeader}>
+          <FaStar style={{ marginRight: '8px', color: '#f5a623' }} />
+          {favorite.id ? 'Edit place' : 'Save to address book'}
+        </div>
+
+        <p style={styles.dialogNote}>{draft.address || draft.name}</p>
+        <label style={styles.dialogField}>
+          <span>Label</span>
+          <input
+            type="text"
+            value={draft.label}
+            onChange={(e) => updateField('label', e.target.value)}
+            autoFocus
+            style={{ ...styles.dialogInput, width: '180px' }}
+          />
+        </label>
+        <label style={styles.dialogField}>
+          <span>Category</span>
+          <input
+            type="text"
+            list={categoryListId}
+            value={draft.category}
+            onChange={(e) => updateField('category', e.target.value)}
+            style={{ ...styles.dialogInput, width: '180px' }}
+          />
+          <datalist id={categoryListId}>
+            {categories.map((category) => <option key={category} value={category} />)}
+          </datalist>
+        </label>
+
+        <div style={styles.dialogActions}>
+          <button onClick={onClose} style={styles.btnSecondary}>Cancel</button>
+          <button
+            onClick={() => onSave({ ...draft, label: draft.label.trim(), category: draft.category.trim() })}
+            disabled={!canSave}
+            style={styles.btnOptimize}
+          >
+            Save
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// selectedLocations holds the start entry (id 'start') plus one entry per delivery point
+const splitLocations = (locations) => ({
+  startLocation: locations.find((loc) => loc.id === 'start') || null,
+  stopLocations: locations.filter((loc) => loc.id !== 'start'),
+});
+
+// Plain { vehicle, departure, tripEnd, start, stops } description of the current itinerary, used for sharing
+const buildItinerary = (startPoint, deliveryPoints, selectedLocations, vehicle, departure, tripEnd) => {
+  const { startLocation, stopLocations } = splitLocations(selectedLocations);
+  return {
+    vehicle,
+    departure,
+    tripEnd,
+    start: startPoint && startLocation
+      ? { ...startPoint, name: startLocation.name, address: startLocation.address }
+      : null,
+    stops: deliveryPoints.map((point, i) => ({
+      ...point,
+      id: stopLocations[i]?.id,
+      name: stopLocations[i]?.name || '',
+      address: stopLocations[i]?.address || '',
+      ...(stopLocations[i]?.schedule ? { schedule: stopLocations[i].schedule } : {}),
+      ...(stopLocations[i]?.demand ? { demand: stopLocations[i].demand } : {}),
+    })),
+  };
 };
 
-const formatDistance = (meters) => {
-  if (meters < 1000) {
-    return `${Math.round(meters)} m`;
-  }
-  return `${(meters / 1000).toFixed(1)} km`;
+// Move an array item to a new index, returning a new array
+const moveItem = (items, from, to) => {
+  const result = [...items];
+  const [item] = result.splice(from, 1);
+  result.splice(to, 0, item);
+  return result;
 };
 
-// Vehicle options with their display names
-const vehicleOptions = [
-    { value: 'driving-car', label: 'Car', icon: <FaCar /> },
-    { value: 'driving-hgv', label: 'Truck', icon: <FaTruck /> },
-    { value: 'cycling-regular', label: 'Bicycle (Reg)', icon: <FaBicycle /> },
-    { value: 'cycling-road', label: 'Bicycle (Road)', icon: <FaBicycle /> },
-    { value: 'cycling-mountain', label: 'Bicycle (MTB)', icon: <FaBicycle /> },
-    { value: 'walking', label: 'Walking', icon: <FaWalking /> },
-    { value: 'foot', label: 'Foot', icon: <FaWalking /> },
-    { value: 'motorcycle', label: 'Motorcycle', icon: <FaMotorcycle /> },
-    { value: 'bus', label: 'Bus', icon: <FaBus /> },
-    { value: 'scooter', label: 'Scooter', icon: <FaMotorcycle /> },
+// Where the trip is allowed to end. Optimization honours it, and a round trip is
+// also drawn and measured back to the start.
+const tripEndOptions = [
+    { value: 'any', label: 'Open route' },
+    { value: 'last', label: 'Keep last stop' },
+    { value: 'roundtrip', label: 'Round trip' },
 ];
 
 export default function DeliveryMap() {
@@ -126,26 +480,273 @@ export default function DeliveryMap() {
   const [deliveryPoints, setDeliveryPoints] = useState([]);
   const [startAddress, setStartAddress] = useState("");
   const [endAddress, setEndAddress] = useState("");
-  const [startSuggestions, setStartSuggestions] = useState([]);
-  const [endSuggestions, setEndSuggestions] = useState([]);
   const [vehicle, setVehicle] = useState("driving-car");
+  const [vehicleAttributes, setVehicleAttributes] = useState(loadVehicleAttributes);
+  const [showVehicleSettings, setShowVehicleSettings] = useState(false);
   const [distanceTime, setDistanceTime] = useState({ distance: null, duration: null });
   const [selectedLocations, setSelectedLocations] = useState([]);
+  const [tripEnd, setTripEnd] = useState('any');
+  const [isOptimizing, setIsOptimizing] = useState(false);
+  const [optimization, setOptimization] = useState(null);
+  const [dragIndex, setDragIndex] = useState(null);
+  const [flyTarget, setFlyTarget] = useState(null);
+  const [routes, setRoutes] = useState([]);
+  const [activeRouteIndex, setActiveRouteIndex] = useState(0);
+  const [showDirections, setShowDirections] = useState(false);
+  const [activeStep, setActiveStep] = useState(null);
+  const [initialView] = useState(readSharedMapView);
+  const [isHydrated, setIsHydrated] = useState(false);
+  const [linkCopied, setLinkCopied] = useState(false);
+  const [openPanel, setOpenPanel] = useState(null);
+  const [favorites, setFavorites] = useState(loadFavorites);
+  const [favoriteDraft, setFavoriteDraft] = useState(null);
+  const [showImport, setShowImport] = useState(false);
+  const [showExportMenu, setShowExportMenu] = useState(false);
+  const [overlays, setOverlays] = useState([]);
+  const [fitBoundsTarget, setFitBoundsTarget] = useState(null);
+  const [isDraggingFile, setIsDraggingFile] = useState(false);
+  const [showManifest, setShowManifest] = useState(false);
+  const [departureTime, setDepartureTime] = useState(defaultDeparture);
+  const [editingScheduleId, setEditingScheduleId] = useState(null);
+  const [fleet, setFleet] = useState(loadFleet);
+  const [fleetPlan, setFleetPlan] = useState(null);
+  const [isPlanningFleet, setIsPlanningFleet] = useState(false);
+  const [editingStatusId, setEditingStatusId] = useState(null);
+  const [isNavigating, setIsNavigating] = useState(false);
+  const [isFollowing, setIsFollowing] = useState(true);
+  const [simulatedRoute, setSimulatedRoute] = useState(null);
+  // A shared link's own map view wins over zooming to its route
+  const skipFitRef = useRef(Boolean(initialView));
+  // Stop statuses as last written to storage, and whether a full storage was reported
+  const savedStatusesRef = useRef(null);
+  const storageWarnedRef = useRef(false);
+
+  const { startLocation, stopLocations } = splitLocations(selectedLocations);
+  const routeDetails = routes[activeRouteIndex] || null;
+  const vehicleOption = getVehicleOption(vehicle);
+  const activeVehicle = useMemo(
+    () => ({ ...getVehicleOption(vehicle), attributes: vehicleAttributes[vehicle] }),
+    [vehicle, vehicleAttributes]
+  );
+  const routeSteps = routeDetails ? routeDetails.legs.flatMap((leg) => leg.steps) : [];
+  const highlightedStep = routeSteps.includes(activeStep) ? activeStep : null;
+
+  // Leg i runs into stop i, so only show legs while they still line up with the stops.
+  // A round trip has one more leg, back to the start.
+  const isRoundTrip = tripEnd === 'roundtrip';
+  const legSummaries = [];
+  if (routeDetails && routeDetails.legs.length === stopLocations.length + (isRoundTrip ? 1 : 0)) {
+    let totalDistance = 0;
+    let totalDuration = 0;
+    routeDetails.legs.forEach((leg) => {
+      totalDistance += leg.distance;
+      totalDuration += leg.duration;
+      legSummaries.push({ distance: leg.distance, duration: leg.duration, totalDistance, totalDuration });
+    });
+  }
+
+  // ETAs need a leg per stop, like the leg metrics
+  const stopSchedule = legSummaries.length > 0 ? computeSchedule(departureTime, routeDetails.legs, stopLocations) : [];
+
+  // Fleet plans are keyed on everything they were made from; a plan whose key no
+  // longer matches is stale and the single route is drawn instead
+  const fleetStops = deliveryPoints.map(({ lat, lng }, i) => ({
+    lat,
+    lng,
+    demand: stopLocations[i]?.demand || 0,
+    service: stopLocations[i]?.schedule?.service || 0,
+  }));
+  const currentFleetPlanKey = fleetPlanKey(startPoint, fleetStops, fleet);
+  const showFleetPlan = Boolean(fleetPlan && fleetPlan.key === currentFleetPlanKey);
+
+  const finishedStops = stopLocations.filter((loc) => isStopFinished(loc.status)).length;
+  const stateCounts = stopStates
+    .map((option) => ({ ...option, count: stopLocations.filter((loc) => getStopState(loc.status) === option).length }))
+    .filter((option) => option.count > 0);
+
+  // Stops still to be visited, in order, for navigation
+  const upcomingStops = useMemo(() => {
+    const { stopLocations: locations } = splitLocations(selectedLocations);
+    return deliveryPoints
+      .map(({ lat, lng }, i) => ({ id: locations[i]?.id, name: locations[i]?.name, lat, lng, status: locations[i]?.status }))
+      .filter((stop) => getStopState(stop.status).value === 'pending');
+  }, [deliveryPoints, selectedLocations]);
+
+  // Reaching a stop during navigation marks it arrived, which also drops it from the route
+  const handleArrive = useCallback((id) => {
+    setSelectedLocations((prev) => prev.map((loc) => (
+      loc.id === id && getStopState(loc.status).value === 'pending'
+        ? { ...loc, status: changeStopState(loc.status, 'arrived') }
+        : loc
+    )));
+  }, []);
+
+  const navigation = useNavigation({
+    active: isNavigating,
+    stops: upcomingStops,
+    vehicle: activeVehicle,
+    onArrive: handleArrive,
+  });
+  const { updatePosition } = navigation;
+
+  // Positions come from the GPS, unless the route simulator is driving
+  const isSimulating = Boolean(simulatedRoute);
+  useEffect(() => {
+    if (!isNavigating || isSimulating) return undefined;
+    return watchGpsPosition(updatePosition, (error) => {
+      console.error('Error watching position:', error);
+      if (error.code === error.PERMISSION_DENIED) {
+        alert("Navigation needs access to your location.");
+        setIsNavigating(false);
+      }
+    });
+  }, [isNavigating, isSimulating, updatePosition]);
+
+  const startNavigation = () => {
+    if (!navigator.geolocation) {
+      alert("Geolocation is not supported by this browser.");
+      return;
+    }
+    setIsFollowing(true);
+    setIsNavigating(true);
+  };
+
+  // Drive the current route with a virtual vehicle instead of the GPS
+  const startSimulation = () => {
+    setSimulatedRoute(routeDetails);
+    setIsFollowing(true);
+    setIsNavigating(true);
+  };
+
+  const stopNavigation = () => {
+    setIsNavigating(false);
+    setSimulatedRoute(null);
+  };
+
+  const updateStopSchedule = (id, changes) => {
+    setSelectedLocations((prev) => prev.map((loc) => (
+      loc.id === id ? { ...loc, schedule: { windowStart: '', windowEnd: '', service: 0, ...loc.schedule, ...changes } } : loc
+    )));
+  };
+
+  // Replace the whole itinerary, e.g. from a shared link. Stops get fresh ids, and
+  // so start with no status, unless the page is being reloaded (restoreStatuses),
+  // when they pick up what was recorded for them on this device.
+  const loadItinerary = useCallback(({ vehicle: savedVehicle, departure, tripEnd: savedTripEnd, start, stops }, { restoreStatuses = false } = {}) => {
+    const stamp = Date.now();
+    if (vehicleOptions.some((option) => option.value === savedVehicle)) {
+      setVehicle(savedVehicle);
+    }
+    if (departure) setDepartureTime(departure);
+    // Itineraries from before trip ends were saved are open routes
+    setTripEnd(tripEndOptions.some((option) => option.value === savedTripEnd) ? savedTripEnd : 'any');
+    setOptimization(null);
+    setStartPoint(start ? { lat: start.lat, lng: start.lng } : null);
+    setStartAddress(start ? start.name : "");
+    setDeliveryPoints(stops.map(({ lat, lng }) => ({ lat, lng })));
+    setSelectedLocations([
+      ...(start ? [{ name: start.name, id: 'start', address: start.address }] : []),
+      ...stops.map((stop, i) => ({
+        name: stop.name,
+        id: restoreStatuses && stop.id ? stop.id : `stop-${stamp}-${i}`,
+        address: stop.address,
+        schedule: stop.schedule,
+        demand: stop.demand,
+        status: restoreStatuses && stop.id ? loadStopStatus(stop.id) : undefined,
+      })),
+    ]);
+  }, []);
+
+  // Restore the itinerary when the app is opened from a shared link
+  useEffect(() => {
+    let cancelled = false;
+    readSharedItinerary().then((itinerary) => {
+      if (cancelled) return;
+      if (itinerary) loadItinerary(itinerary, { restoreStatuses: true });
+      // Only a link with a route to draw needs its map view protected
+      skipFitRef.current = skipFitRef.current && Boolean(itinerary && itinerary.start && itinerary.stops.length > 0);
+      setIsHydrated(true);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [loadItinerary]);
+
+  // Mirror the itinerary into the URL, once any shared one has been restored
+  useEffect(() => {
+    if (!isHydrated) return;
+    if (!startPoint && deliveryPoints.length === 0) {
+      writeShareHash({ route: null });
+      return;
+    }
+    let cancelled = false;
+    encodeItinerary(buildItinerary(startPoint, deliveryPoints, selectedLocations, vehicle, departureTime, tripEnd)).then((encoded) => {
+      if (!cancelled) writeShareHash({ route: encoded });
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [isHydrated, startPoint, deliveryPoints, selectedLocations, vehicle, departureTime, tripEnd]);
+
+  // Keep stop statuses on the device, once any shared itinerary has been restored.
+  // Only statuses that changed are written, and those of stops removed here (one
+  // by one, by Clear or by loading another itinerary) forgotten. Other tabs' stops
+  // are left alone until they expire.
+  useEffect(() => {
+    if (!isHydrated) return;
+    const current = new Map(splitLocations(selectedLocations).stopLocations.map((loc) => [loc.id, loc.status]));
+    const previous = savedStatusesRef.current;
+    savedStatusesRef.current = current;
+    if (!previous) {
+      expireStopStatuses([...current.keys()]);
+      return;
+    }
+    try {
+      current.forEach((status, id) => {
+        if (previous.get(id) !== status) persistStopStatus(id, status);
+      });
+      previous.forEach((_, id) => {
+        if (!current.has(id)) persistStopStatus(id, null);
+      });
+    } catch (error) {
+      console.error('Error saving stop statuses:', error);
+      if (!storageWarnedRef.current) {
+        storageWarnedRef.current = true;
+        alert('Could not save stop statuses on this device. Storage may be full; try removing some photos.');
+      }
+    }
+  }, [isHydrated, selectedLocations]);
+
+  const exportRoute = (format) => {
+    const itinerary = buildItinerary(startPoint, deliveryPoints, selectedLocations, vehicle, departureTime, tripEnd);
+    const { content, filename, type } = exportItinerary(format, itinerary, routeDetails);
+    downloadFile(content, filename, type);
+    setShowExportMenu(false);
+  };
+
+  const copyShareLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      setLinkCopied(true);
+      setTimeout(() => setLinkCopied(false), 2000);
+    } catch (error) {
+      console.error('Error copying link:', error);
+      alert('Could not copy the link. Copy it from the address bar instead.');
+    }
+  };
 
   // Geocode an address to get coordinates
   const geocodeAddress = async (address) => {
-    const response = await fetch(`https://nominatim.openstreetmap.org/search?format=json&q=${address}&limit=1`);
-    const data = await response.json();
-    if (data.length > 0) {
-      return {
-        lat: parseFloat(data[0].lat),
-        lng: parseFloat(data[0].lon),
-        name: data[0].display_name
-      };
-    }
-    return null;
+    const [place] = await geocoder.search(address, { limit: 1 });
+    return place || null;
   };
 
+  // Make one of the fetched routes the active one
+  const selectRoute = useCallback((routeList, index) => {
+    setActiveRouteIndex(index);
+    setDistanceTime({ distance: routeList[index].distance, duration: routeList[index].duration });
+  }, []);
+
   const getCurrentLocation = () => {
     if (navigator.geolocation) {
       navigator.geolocation.getCurrentPosition(async (position) => {
@@ -153,52 +754,275 @@ export default function DeliveryMap() {
           lat: position.coords.latitude,
           lng: position.coords.longitude,
         };
-        const geoResult = await geocodeAddress(`${coords.lat},${coords.lng}`);
-        const name = geoResult ? geoResult.name.split(',')[0] : 'Current Location';
-        setStartPoint(coords);
-        setStartAddress(name);
-        setSelectedLocations([{name: name, id: 'start', address: name}]);
+        const place = await reverseGeocode(coords);
+        setStartLocation(coords, place.name, place.label);
+      }, () => {
+        alert("Unable to get your location. Please enter an address instead.");
       });
     } else {
       alert("Geolocation is not supported by this browser.");
     }
   };
 
-  const handleSearch = async (query, type) => {
-    if (query.length < 3) {
-        if (type === "start") setStartSuggestions([]);
-        else setEndSuggestions([]);
+  // Add whatever is typed in the stop input as a stop, using the best geocoder match
+  const addTypedStop = async () => {
+    if (!endAddress) return;
+    try {
+      const result = await geocodeAddress(endAddress);
+      if (!result) {
+        alert(`Could not find "${endAddress}". Please check the address and try again.`);
         return;
+      }
+      setEndAddress('');
+      addStop({ lat: result.lat, lng: result.lng }, result.name, result.label);
+    } catch (error) {
+      console.error('Error finding address:', error);
+      alert('Error finding the address. Please try again.');
     }
-    const response = await fetch(`https://nominatim.openstreetmap.org/search?format=json&q=${query}`);
-    const data = await response.json();
-    if (type === "start") setStartSuggestions(data);
-    else setEndSuggestions(data);
   };
 
   const handleSuggestionClick = (suggestion, type) => {
-    const coords = { lng: parseFloat(suggestion.lon), lat: parseFloat(suggestion.lat) };
-    const name = suggestion.display_name.split(',')[0];
+    const coords = { lng: suggestion.lng, lat: suggestion.lat };
     if (type === "start") {
-      setStartAddress(name);
-      setStartPoint(coords);
-      setSelectedLocations([{ name: name, id: 'start', address: suggestion.display_name }]);
-      setStartSuggestions([]);
+      setStartLocation(coords, suggestion.name, suggestion.label);
     } else {
       setEndAddress("");
-      setDeliveryPoints((prev) => [...prev, coords]);
-      setSelectedLocations((prev) => [...prev, { name: name, id: `stop-${Date.now()}`, address: suggestion.display_name }]);
-      setEndSuggestions([]);
+      addStop(coords, suggestion.name, suggestion.label);
+    }
+  };
+
+  // Replace the start point, keeping any stops already added
+  const setStartLocation = (coords, name, address) => {
+    setFlyTarget(coords);
+    setStartPoint(coords);
+    setStartAddress(name);
+    setSelectedLocations((prev) => [{ name, id: 'start', address }, ...prev.filter((loc) => loc.id !== 'start')]);
+  };
+
+  const addStop = (coords, name, address) => {
+    setOptimization(null);
+    setDeliveryPoints((prev) => [...prev, coords]);
+    setSelectedLocations((prev) => [...prev, { name, id: `stop-${Date.now()}`, address }]);
+  };
+
+  // Append stops from a spreadsheet import after the existing ones
+  const importStops = (stops) => {
+    const stamp = Date.now();
+    setOptimization(null);
+    setDeliveryPoints((prev) => [...prev, ...stops.map(({ lat, lng }) => ({ lat, lng }))]);
+    setSelectedLocations((prev) => [
+      ...prev,
+      ...stops.map((stop, i) => ({ name: stop.name, id: `stop-${stamp}-${i}`, address: stop.address })),
+    ]);
+    if (!startPoint) setFlyTarget({ lat: stops[0].lat, lng: stops[0].lng });
+    setShowImport(false);
+  };
+
+  // Stops are edited as a pair so deliveryPoints[i] always matches stopLocations[i]
+  const updateStops = (points, locations) => {
+    setOptimization(null);
+    setDeliveryPoints(points);
+    setSelectedLocations(startLocation ? [startLocation, ...locations] : locations);
+  };
+
+  // Dragging a marker moves the point right away; the label follows once geocoded
+  const handleStartDragEnd = async (e) => {
+    const { lat, lng } = e.target.getLatLng();
+    const coords = { lat, lng };
+    setOptimization(null);
+    setStartPoint(coords);
+    const place = await reverseGeocode(coords);
+    setStartAddress(place.name);
+    setSelectedLocations((prev) => prev.map((loc) => (
+      loc.id === 'start' ? { ...loc, name: place.name, address: place.label } : loc
+    )));
+  };
+
+  const handleStopDragEnd = async (id, e) => {
+    const { lat, lng } = e.target.getLatLng();
+    const coords = { lat, lng };
+    const index = stopLocations.findIndex((loc) => loc.id === id);
+    if (index === -1) return;
+    setOptimization(null);
+    setDeliveryPoints((prev) => prev.map((point, i) => (i === index ? coords : point)));
+    const place = await reverseGeocode(coords);
+    setSelectedLocations((prev) => prev.map((loc) => (
+      loc.id === id ? { ...loc, name: place.name, address: place.label } : loc
+    )));
+  };
+
+  const removeStart = () => {
+    setStartPoint(null);
+    setStartAddress("");
+    setOptimization(null);
+    setSelectedLocations(stopLocations);
+  };
+
+  const removeStop = (index) => {
+    updateStops(
+      deliveryPoints.filter((_, i) => i !== index),
+      stopLocations.filter((_, i) => i !== index)
+    );
+  };
+
+  const moveStop = (from, to) => {
+    if (from === to) return;
+    updateStops(moveItem(deliveryPoints, from, to), moveItem(stopLocations, from, to));
+  };
+
+  // Promote a stop to start; the previous start takes the stop's place in the order
+  const setStopAsStart = (index) => {
+    const stop = stopLocations[index];
+    const points = [...deliveryPoints];
+    const locations = [...stopLocations];
+    if (startPoint && startLocation) {
+      points[index] = startPoint;
+      locations[index] = { ...startLocation, id: `stop-${Date.now()}` };
+    } else {
+      points.splice(index, 1);
+      locations.splice(index, 1);
+    }
+    setOptimization(null);
+    setStartPoint(deliveryPoints[index]);
+    setStartAddress(stop.name);
+    setDeliveryPoints(points);
+    setSelectedLocations([{ ...stop, id: 'start' }, ...locations]);
+  };
+
+  const handleOptimizeOrder = async () => {
+    setIsOptimizing(true);
+    try {
+      const result = await optimizeStopOrder(routingProvider, startPoint, deliveryPoints, activeVehicle, tripEnd);
+      updateStops(
+        result.order.map((i) => deliveryPoints[i]),
+        result.order.map((i) => stopLocations[i])
+      );
+      setOptimization({ distanceSaved: result.distanceSaved, durationSaved: result.durationSaved });
+    } catch (error) {
+      console.error('Error optimizing stop order:', error);
+      alert('Could not optimize the stop order. Please try again.');
+    }
+    setIsOptimizing(false);
+  };
+
+  const updateFavorites = (updated) => {
+    setFavorites(updated);
+    persistFavorites(updated);
+  };
+
+  // Start a new address book entry from a point on the map
+  const addToFavorites = (point, location, category) => {
+    const name = location?.name || '';
+    setFavoriteDraft({ label: name, category, name, address: location?.address || '', lat: point.lat, lng: point.lng });
+  };
+
+  const saveFavorite = (favorite) => {
+    updateFavorites(favorite.id
+      ? favorites.map((fav) => (fav.id === favorite.id ? favorite : fav))
+      : [...favorites, { ...favorite, id: createFavoriteId() }]);
+    setFavoriteDraft(null);
+  };
+
+  const deleteFavorite = (favorite) => {
+    if (window.confirm(`Remove "${favorite.label}" from the address book?`)) {
+      updateFavorites(favorites.filter((fav) => fav.id !== favorite.id));
+    }
+  };
+
+  // Popup line showing the saved label, or a button to save the point
+  const renderFavoriteAction = (point, location, category) => {
+    const favorite = findFavoriteAt(favorites, point);
+    if (favorite) {
+      return (
+        <div style={styles.popupFavorite}>
+          <FaStar style={{ color: '#f5a623', marginRight: '4px' }} />
+          {favorite.label}
+        </div>
+      );
+    }
+    return (
+      <button onClick={() => addToFavorites(point, location, category)} style={styles.btnPopupAction}>
+        Save to address book
+      </button>
+    );
+  };
+
+  const addOverlayFiles = async (files) => {
+    for (const file of files) {
+      try {
+        const overlay = await readOverlayFile(file);
+        setOverlays((prev) => [...prev, overlay]);
+        setFitBoundsTarget(overlayBounds(overlay));
+      } catch (error) {
+        console.error('Error reading overlay file:', error);
+        alert(`Could not open ${file.name}: ${error.message}`);
+      }
     }
   };
 
+  const updateOverlay = (overlay, changes) =>
+    setOverlays((prev) => prev.map((item) => (item.id === overlay.id ? { ...item, ...changes } : item)));
+
+  // Only react to files dragged in from outside, not to stops being reordered
+  const isFileDrag = (e) => e.dataTransfer.types.includes('Files');
+
+  const handleFileDrop = (e) => {
+    if (!isFileDrag(e)) return;
+    e.preventDefault();
+    setIsDraggingFile(false);
+    addOverlayFiles([...e.dataTransfer.files]);
+  };
+
+  const updateStopStatus = (id, status) => {
+    setSelectedLocations((prev) => prev.map((loc) => (loc.id === id ? { ...loc, status } : loc)));
+  };
+
+  const updateStopDemand = (id, demand) => {
+    setSelectedLocations((prev) => prev.map((loc) => (loc.id === id ? { ...loc, demand } : loc)));
+  };
+
+  const updateFleet = (updated) => {
+    setFleet(updated);
+    persistFleet(updated);
+  };
+
+  const planFleet = async () => {
+    setIsPlanningFleet(true);
+    try {
+      const plan = await planFleetRoutes({
+        provider: routingProvider,
+        depot: startPoint,
+        stops: fleetStops,
+        fleet,
+        resolveVehicle: (value) => ({ ...getVehicleOption(value), attributes: vehicleAttributes[value] }),
+      });
+      setFleetPlan({ ...plan, key: currentFleetPlanKey });
+    } catch (error) {
+      console.error('Error planning fleet routes:', error);
+      alert('Could not plan the fleet routes. Please try again.');
+    }
+    setIsPlanningFleet(false);
+  };
+
+  const togglePanel = (panel) => setOpenPanel((prev) => (prev === panel ? null : panel));
+
+  const saveVehicleSettings = (attributes) => {
+    const updated = { ...vehicleAttributes, [vehicle]: attributes };
+    setVehicleAttributes(updated);
+    saveVehicleAttributes(updated);
+    setShowVehicleSettings(false);
+  };
+
   const clearDeliveries = () => {
+    stopNavigation();
     setStartPoint(null);
+    setFlyTarget(null);
     setDeliveryPoints([]);
     setStartAddress("");
     setEndAddress("");
     setDistanceTime({ distance: null, duration: null });
     setSelectedLocations([]);
+    setOptimization(null);
   };
 
   return (
@@ -206,93 +1030,198 @@ export default function DeliveryMap() {
       {/* Navbar with controls */}
       <div style={styles.navbar}>
         <div style={styles.navbarSection}>
-          <div style={styles.inputGroup}>
-            <input
-              type="text"
-              value={startAddress}
-              onChange={(e) => {
-                setStartAddress(e.target.value);
-                handleSearch(e.target.value, "start");
-              }}
-              placeholder="Starting point..."
-              style={styles.input}
-            />
+          <AddressAutocomplete
+            value={startAddress}
+            onChange={setStartAddress}
+            onSelect={(s) => handleSuggestionClick(s, "start")}
+            placeholder="Starting point..."
+            label="Starting point"
+            favorites={favorites}
+          >
             <button onClick={getCurrentLocation} style={styles.btnCurrentLocation}>
               Current Location
             </button>
-            {startSuggestions.length > 0 && (
-              <div style={styles.suggestionsDropdown}>
-                {startSuggestions.map((s, i) => (
-                  <div key={i} onClick={() => handleSuggestionClick(s, "start")} style={styles.suggestionItem}>
-                    {s.display_name}
-                  </div>
-                ))}
-              </div>
-            )}
-          </div>
+          </AddressAutocomplete>
         </div>
 
         <div style={styles.navbarSection}>
-          <div style={styles.inputGroup}>
-            <input
-              type="text"
-              value={endAddress}
-              onChange={(e) => {
-                setEndAddress(e.target.value);
-                handleSearch(e.target.value, "end");
-              }}
-              placeholder="Add stop..."
-              style={styles.input}
-            />
-            <button onClick={() => {
-                if (endAddress) {
-                    geocodeAddress(endAddress).then(result => {
-                        if (result) {
-                            setEndAddress('');
-                            setDeliveryPoints((prev) => [...prev, { lat: result.lat, lng: result.lng }]);
-                            setSelectedLocations((prev) => [...prev, { name: result.name.split(',')[0], id: `stop-${Date.now()}`, address: result.name }]);
-                        }
-                    });
-                }
-            }} style={styles.btnAddStop}>
+          <AddressAutocomplete
+            value={endAddress}
+            onChange={setEndAddress}
+            onSelect={(s) => handleSuggestionClick(s, "end")}
+            onSubmit={addTypedStop}
+            placeholder="Add stop..."
+            label="Add stop"
+            favorites={favorites}
+          >
+            <button onClick={addTypedStop} title="Add stop" style={styles.btnAddStop}>
                 <FaPlus />
             </button>
-            {endSuggestions.length > 0 && (
-              <div style={styles.suggestionsDropdown}>
-                {endSuggestions.map((s, i) => (
-                  <div key={i} onClick={() => handleSuggestionClick(s, "end")} style={styles.suggestionItem}>
-                    {s.display_name}
-                  </div>
-                ))}
-              </div>
-            )}
-          </div>
+          </AddressAutocomplete>
         </div>
 
         <div style={styles.navbarSection}>
-          <select
-            value={vehicle}
-            onChange={(e) => setVehicle(e.target.value)}
-            style={styles.vehicleDropdown}
-          >
-            {vehicleOptions.map((option) => (
-              <option key={option.value} value={option.value}>
-                {option.label}
-              </option>
-            ))}
-          </select>
+          <div style={styles.inputGroup}>
+            <select
+              value={vehicle}
+              onChange={(e) => setVehicle(e.target.value)}
+              style={styles.vehicleDropdown}
+            >
+              {vehicleOptions.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+            <button onClick={() => setShowVehicleSettings(true)} title="Vehicle settings" style={styles.btnCurrentLocation}>
+              <FaCog />
+            </button>
+          </div>
         </div>
         
+        <button onClick={() => setShowImport(true)} title="Import stops" style={styles.btnCurrentLocation}>
+          <FaFileImport />
+        </button>
+        <button
+          onClick={() => {
+            if (fleet.length === 0) updateFleet([createFleetVehicle(0, vehicle), createFleetVehicle(1, vehicle)]);
+            togglePanel('fleet');
+          }}
+          title="Fleet"
+          style={styles.btnCurrentLocation}
+        >
+          <FaTruck />
+        </button>
+        <button onClick={() => togglePanel('layers')} title="Layers" style={styles.btnCurrentLocation}>
+          <FaLayerGroup />
+        </button>
+        <button onClick={() => togglePanel('addressBook')} title="Address book" style={styles.btnCurrentLocation}>
+          <FaAddressBook />
+        </button>
+        <button onClick={() => togglePanel('savedRoutes')} title="Saved routes" style={styles.btnCurrentLocation}>
+          <FaBookmark />
+        </button>
         <button onClick={clearDeliveries} style={styles.btnClearDeliveries}>
           Clear
         </button>
       </div>
 
+      {showVehicleSettings && (
+        <VehicleSettingsDialog
+          option={vehicleOption}
+          attributes={vehicleAttributes[vehicle]}
+          onSave={saveVehicleSettings}
+          onClose={() => setShowVehicleSettings(false)}
+        />
+      )}
+
+      {showImport && (
+        <ImportStopsDialog onImport={importStops} onClose={() => setShowImport(false)} />
+      )}
+
+      {showManifest && (
+        <PrintManifest
+          itinerary={buildItinerary(startPoint, deliveryPoints, selectedLocations, vehicle, departureTime, tripEnd)}
+          route={routeDetails}
+          vehicleLabel={vehicleOption.label}
+          onClose={() => setShowManifest(false)}
+        />
+      )}
+
+      {favoriteDraft && (
+        <FavoriteDialog
+          favorite={favoriteDraft}
+          categories={listCategories(favorites)}
+          onSave={saveFavorite}
+          onClose={() => setFavoriteDraft(null)}
+        />
+      )}
+
       {/* Map and Info */}
-      <div style={styles.mapAndInfoContainer}>
+      <div
+        style={styles.mapAndInfoContainer}
+        onDragOver={(e) => {
+          if (!isFileDrag(e)) return;
+          e.preventDefault();
+          setIsDraggingFile(true);
+        }}
+        onDragLeave={(e) => {
+          if (!e.currentTarget.contains(e.relatedTarget)) setIsDraggingFile(false);
+        }}
+        onDrop={handleFileDrop}
+      >
+        {isDraggingFile && (
+          <div style={styles.dropHint}>Drop GPX, KML or GeoJSON files to add them as layers</div>
+        )}
+        {openPanel === 'savedRoutes' && (
+          <SavedRoutesPanel
+            itinerary={buildItinerary(startPoint, deliveryPoints, selectedLocations, vehicle, departureTime, tripEnd)}
+            distanceTime={distanceTime}
+            onLoad={(route) => {
+              loadItinerary(route.itinerary);
+              setOpenPanel(null);
+            }}
+            onClose={() => setOpenPanel(null)}
+          />
+        )}
+        {openPanel === 'layers' && (
+          <OverlaysPanel
+            overlays={overlays}
+            onAddFiles={addOverlayFiles}
+            onToggle={(overlay) => updateOverlay(overlay, { visible: !overlay.visible })}
+            onZoom={(overlay) => setFitBoundsTarget(overlayBounds(overlay))}
+            onAddStops={(overlay) => importStops(overlay.points.map(overlayPointToStop))}
+            onRemove={(overlay) => setOverlays((prev) => prev.filter((item) => item.id !== overlay.id))}
+            onClose={() => setOpenPanel(null)}
+          />
+        )}
+        {isNavigating && (
+          <NavigationPanel
+            position={navigation.position}
+            progress={navigation.progress}
+            nextStop={upcomingStops[0] || null}
+            isRouting={navigation.isRouting}
+            isOffRoute={navigation.isOffRoute}
+            isFollowing={isFollowing}
+            onRecenter={() => setIsFollowing(true)}
+            onStop={stopNavigation}
+          >
+            {simulatedRoute && (
+              <RouteSimulator
+                route={simulatedRoute}
+                speed={(vehicleOption.averageSpeed * 1000) / 3600}
+                onPosition={updatePosition}
+              />
+            )}
+          </NavigationPanel>
+        )}
+        {openPanel === 'fleet' && (
+          <FleetPanel
+            fleet={fleet}
+            onChange={updateFleet}
+            plan={fleetPlan}
+            isPlanCurrent={showFleetPlan}
+            isPlanning={isPlanningFleet}
+            canPlan={Boolean(startPoint) && deliveryPoints.length > 0 && fleet.length > 0}
+            stopNames={stopLocations.map((loc) => loc.name)}
+            onPlan={planFleet}
+            onClear={() => setFleetPlan(null)}
+            onClose={() => setOpenPanel(null)}
+          />
+        )}
+        {openPanel === 'addressBook' && (
+          <AddressBookPanel
+            favorites={favorites}
+            onUse={(favorite, type) => handleSuggestionClick(favoriteToPlace(favorite), type)}
+            onEdit={setFavoriteDraft}
+            onDelete={deleteFavorite}
+            onClose={() => setOpenPanel(null)}
+          />
+        )}
+
         <MapContainer
-          center={startPoint || [20.5937, 78.9629]}
-          zoom={5}
+          center={initialView ? initialView.center : [20.5937, 78.9629]}
+          zoom={initialView ? initialView.zoom : 5}
           style={styles.mapContainer}
           scrollWheelZoom={true}
         >
@@ -302,22 +1231,89 @@ export default function DeliveryMap() {
           />
 
           {startPoint && (
-            <>
-              <Marker position={[startPoint.lat, startPoint.lng]} icon={blueIcon}>
-                <Popup>Start: {startAddress}</Popup>
-              </Marker>
-              <FlyToLocation position={[startPoint.lat, startPoint.lng]} />
-            </>
+            <Marker
+              position={[startPoint.lat, startPoint.lng]}
+              icon={blueIcon}
+              draggable
+              eventHandlers={{ dragend: handleStartDragEnd }}
+            >
+              <Popup>
+                <div>Start: {startAddress}</div>
+                {renderFavoriteAction(startPoint, startLocation, 'Depot')}
+              </Popup>
+            </Marker>
           )}
+          {flyTarget && <FlyToLocation position={flyTarget} />}
 
           {deliveryPoints.map((point, idx) => (
-            <Marker key={idx} position={[point.lat, point.lng]} icon={blueIcon}>
-              <Popup>Delivery {idx + 1}</Popup>
+            <Marker
+              key={stopLocations[idx]?.id || idx}
+              position={[point.lat, point.lng]}
+              icon={stopIcon(stopLocations[idx]?.status)}
+              draggable
+              eventHandlers={{ dragend: (e) => handleStopDragEnd(stopLocations[idx]?.id, e) }}
+            >
+              <Popup>
+                <div>Delivery {idx + 1}: {stopLocations[idx]?.name}</div>
+                <div style={{ color: getStopState(stopLocations[idx]?.status).color }}>
+                  {getStopState(stopLocations[idx]?.status).label}
+                </div>
+                {renderFavoriteAction(point, stopLocations[idx], 'Customer')}
+              </Popup>
             </Marker>
           ))}
 
-          {startPoint && deliveryPoints.length > 0 && (
-            <RouteLayer start={startPoint} deliveryPoints={deliveryPoints} profile={vehicle} setDistanceTime={setDistanceTime} />
+          {startPoint && deliveryPoints.length > 0 && !showFleetPlan && (
+            <RouteLayer
+              start={startPoint}
+              deliveryPoints={deliveryPoints}
+              roundTrip={isRoundTrip}
+              vehicle={activeVehicle}
+              routes={routes}
+              activeRouteIndex={activeRouteIndex}
+              setRoutes={setRoutes}
+              setDistanceTime={setDistanceTime}
+              onSelectRoute={selectRoute}
+              skipFitRef={skipFitRef}
+            />
+          )}
+
+          {isNavigating && navigation.route && (
+            <Polyline positions={navigation.route.coordinates} pathOptions={{ color: '#28a745', weight: 6, opacity: 0.9 }} />
+          )}
+          {isNavigating && navigation.position && (
+            <VehicleLayer
+              position={navigation.position}
+              isFollowing={isFollowing}
+              onUnfollow={() => setIsFollowing(false)}
+            />
+          )}
+
+          {showFleetPlan && fleetPlan.routes.map(({ fleetVehicle, color, order, route }) => (
+            <React.Fragment key={fleetVehicle.id}>
+              {route && <Polyline positions={route.coordinates} pathOptions={{ color, weight: 5, opacity: 0.8 }} />}
+              {order.map((i) => (
+                <CircleMarker
+                  key={i}
+                  center={[deliveryPoints[i].lat, deliveryPoints[i].lng]}
+                  radius={16}
+                  pathOptions={{ color, weight: 3, fillOpacity: 0.15 }}
+                  interactive={false}
+                />
+              ))}
+            </React.Fragment>
+          ))}
+
+          <MapContextMenu onSelect={handleSuggestionClick} />
+          <MapViewSync />
+          <OverlayLayers overlays={overlays} onAddStop={(point) => importStops([overlayPointToStop(point)])} />
+          {fitBoundsTarget && <FitBounds bounds={fitBoundsTarget} />}
+
+          {highlightedStep && (
+            <>
+              <Polyline positions={highlightedStep.coordinates} color="#ff9800" weight={8} opacity={0.9} />
+              <FlyToLocation position={highlightedStep.location} zoom={16} />
+            </>
           )}
         </MapContainer>
 
@@ -327,20 +1323,258 @@ export default function DeliveryMap() {
             <div style={styles.cardHeader}>
                 <FaRoute style={{ marginRight: '8px' }} />
                 Route Details
+                <div style={styles.cardHeaderActions}>
+                    <button
+                        onClick={() => setShowExportMenu((prev) => !prev)}
+                        title="Export route"
+                        aria-haspopup="menu"
+                        aria-expanded={showExportMenu}
+                        style={styles.btnCardHeader}
+                    >
+                        <FaDownload style={{ marginRight: '4px' }} />
+                        Export
+                    </button>
+                    {showExportMenu && (
+                        <div role="menu" style={styles.exportMenu}>
+                            {exportFormats.map((format) => (
+                                <button
+                                    key={format.value}
+                                    role="menuitem"
+                                    onClick={() => exportRoute(format.value)}
+                                    style={styles.contextMenuItem}
+                                >
+                                    {format.label}
+                                </button>
+                            ))}
+                        </div>
+                    )}
+                    {deliveryPoints.length > 0 && !isNavigating && (
+                        <button onClick={startNavigation} title="Start navigation" style={styles.btnCardHeader}>
+                            <FaLocationArrow />
+                        </button>
+                    )}
+                    {routeDetails && !isNavigating && (
+                        <button onClick={startSimulation} title="Simulate driving the route" style={styles.btnCardHeader}>
+                            <FaPlay />
+                        </button>
+                    )}
+                    <button onClick={() => setShowManifest(true)} title="Print manifest" style={styles.btnCardHeader}>
+                        <FaPrint />
+                    </button>
+                    <button onClick={copyShareLink} title="Copy shareable link" style={styles.btnCardHeader}>
+                        <FaLink style={{ marginRight: '4px' }} />
+                        {linkCopied ? 'Copied!' : 'Share'}
+                    </button>
+                </div>
             </div>
             
             {/* Selected Locations List */}
             <div style={styles.locationsListContainer}>
                 <h5 style={{ margin: '0 0 8px 0', fontSize: '14px', color: '#555' }}>Stops</h5>
+                {stopLocations.length > 0 && (
+                    <div style={styles.progress}>
+                        <div style={styles.progressBar}>
+                            {stateCounts.map((option) => (
+                                <div
+                                    key={option.value}
+                                    title={`${option.label}: ${option.count}`}
+                                    style={{ flex: option.count, backgroundColor: option.color }}
+                                />
+                            ))}
+                        </div>
+                        {finishedStops} of {stopLocations.length} stops done
+                        {stateCounts.filter((option) => option.value !== 'pending').map((option) => (
+                            <span key={option.value} style={{ color: option.color }}> · {option.count} {option.label.toLowerCase()}</span>
+                        ))}
+                    </div>
+                )}
+                {startLocation && (
+                    <label style={styles.departureRow}>
+                        Departure
+                        <input
+                            type="time"
+                            value={departureTime}
+                            onChange={(e) => setDepartureTime(e.target.value || defaultDeparture)}
+                            style={styles.timeInput}
+                        />
+                    </label>
+                )}
                 <ul style={styles.ul}>
-                    {selectedLocations.map((loc, index) => (
-                        <li key={loc.id} style={styles.locationItem}>
-                            <span style={{ fontWeight: '600', color: '#333' }}>{index + 1}.</span> {loc.name}
+                    {startLocation && (
+                        <li style={styles.locationItem}>
+                            <span style={styles.locationName}>
+                                <span style={{ fontWeight: '600', color: '#333' }}>1.</span> {startLocation.name}
+                            </span>
+                            <button onClick={removeStart} title="Remove start" style={styles.btnStopAction}>
+                                <FaTimes />
+                            </button>
                         </li>
+                    )}
+                    {stopLocations.map((loc, index) => (
+                        <React.Fragment key={loc.id}>
+                            <li
+                                draggable
+                                onDragStart={(e) => {
+                                    e.dataTransfer.effectAllowed = 'move';
+                                    // Firefox only starts a drag that carries data
+                                    e.dataTransfer.setData('text/plain', String(index));
+                                    setDragIndex(index);
+                                }}
+                                onDragOver={(e) => e.preventDefault()}
+                                onDrop={(e) => {
+                                    e.preventDefault();
+                                    if (dragIndex !== null) moveStop(dragIndex, index);
+                                    setDragIndex(null);
+                                }}
+                                onDragEnd={() => setDragIndex(null)}
+                                style={{ ...styles.locationItem, ...(dragIndex === index ? styles.locationItemDragging : {}) }}
+                            >
+                                <FaGripVertical style={styles.dragHandle} />
+                                <span style={styles.locationName}>
+                                    <span style={{ fontWeight: '600', color: '#333' }}>{index + (startLocation ? 2 : 1)}.</span> {loc.name}
+                                    {legSummaries[index] && (
+                                        <span style={styles.legMetrics}>
+                                            +{formatDistance(legSummaries[index].distance)} · {formatDuration(legSummaries[index].duration)}
+                                            <span style={styles.legTotals}>
+                                                {' '}({formatDistance(legSummaries[index].totalDistance)} · {formatDuration(legSummaries[index].totalDuration)} total)
+                                            </span>
+                                        </span>
+                                    )}
+                                    {(stopSchedule[index] || formatWindow(loc.schedule)) && (
+                                        <span style={{ ...styles.stopSchedule, ...(stopSchedule[index]?.outsideWindow ? styles.stopScheduleLate : {}) }}>
+                                            {stopSchedule[index] && `ETA ${formatTime(stopSchedule[index].arrival)} · leaves ${formatTime(stopSchedule[index].departure)}`}
+                                            {formatWindow(loc.schedule) && ` (window ${formatWindow(loc.schedule)})`}
+                                            {stopSchedule[index]?.lateBy > 0 && ` · ${formatDuration(stopSchedule[index].lateBy * 60)} late`}
+                                            {stopSchedule[index]?.wait > 0 && ` · ${formatDuration(stopSchedule[index].wait * 60)} early`}
+                                        </span>
+                                    )}
+                                    {loc.status?.at && (
+                                        <span style={{ ...styles.stopStatus, color: getStopState(loc.status).color }}>
+                                            {getStopState(loc.status).label} {new Date(loc.status.at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                                            {loc.status.note && ` · ${loc.status.note}`}
+                                        </span>
+                                    )}
+                                </span>
+                                <button
+                                    onClick={() => setEditingStatusId(editingStatusId === loc.id ? null : loc.id)}
+                                    title={`Status: ${getStopState(loc.status).label}`}
+                                    aria-expanded={editingStatusId === loc.id}
+                                    style={{ ...styles.btnStopAction, color: getStopState(loc.status).color }}
+                                >
+                                    <FaCheckCircle />
+                                </button>
+                                <button
+                                    onClick={() => setEditingScheduleId(editingScheduleId === loc.id ? null : loc.id)}
+                                    title="Time window, service time and demand"
+                                    aria-expanded={editingScheduleId === loc.id}
+                                    style={styles.btnStopAction}
+                                >
+                                    <FaClock />
+                                </button>
+                                <button onClick={() => setStopAsStart(index)} title="Set as start" style={styles.btnStopAction}>
+                                    <FaFlag />
+                                </button>
+                                <button onClick={() => removeStop(index)} title="Remove stop" style={styles.btnStopAction}>
+                                    <FaTimes />
+                                </button>
+                            </li>
+                            {editingScheduleId === loc.id && (
+                                <li style={styles.scheduleEditor}>
+                                    <label style={styles.scheduleField}>
+                                        Window
+                                        <input
+                                            type="time"
+                                            value={loc.schedule?.windowStart || ''}
+                                            onChange={(e) => updateStopSchedule(loc.id, { windowStart: e.target.value })}
+                                            aria-label="Window opens"
+                                            style={styles.timeInput}
+                                        />
+                                        –
+                                        <input
+                                            type="time"
+                                            value={loc.schedule?.windowEnd || ''}
+                                            onChange={(e) => updateStopSchedule(loc.id, { windowEnd: e.target.value })}
+                                            aria-label="Window closes"
+                                            style={styles.timeInput}
+                                        />
+                                    </label>
+                                    <label style={styles.scheduleField}>
+                                        Service
+                                        <input
+                                            type="number"
+                                            min="0"
+                                            value={loc.schedule?.service || ''}
+                                            placeholder="0"
+                                            onChange={(e) => updateStopSchedule(loc.id, { service: Math.max(0, Number(e.target.value)) })}
+                                            style={{ ...styles.timeInput, width: '60px' }}
+                                        />
+                                        min
+                                    </label>
+                                    <label style={styles.scheduleField}>
+                                        Demand
+                                        <input
+                                            type="number"
+                                            min="0"
+                                            value={loc.demand || ''}
+                                            placeholder="0"
+                                            onChange={(e) => updateStopDemand(loc.id, Math.max(0, Number(e.target.value)))}
+                                            style={{ ...styles.timeInput, width: '60px' }}
+                                        />
+                                    </label>
+                                </li>
+                            )}
+                            {editingStatusId === loc.id && (
+                                <StopStatusEditor status={loc.status} onChange={(status) => updateStopStatus(loc.id, status)} />
+                            )}
+                        </React.Fragment>
                     ))}
+                    {startLocation && legSummaries[stopLocations.length] && (
+                        <li style={styles.locationItem}>
+                            <span style={styles.locationName}>
+                                Return to {startLocation.name}
+                                <span style={styles.legMetrics}>
+                                    +{formatDistance(legSummaries[stopLocations.length].distance)} · {formatDuration(legSummaries[stopLocations.length].duration)}
+                                    <span style={styles.legTotals}>
+                                        {' '}({formatDistance(legSummaries[stopLocations.length].totalDistance)} · {formatDuration(legSummaries[stopLocations.length].totalDuration)} total)
+                                    </span>
+                                </span>
+                            </span>
+                        </li>
+                    )}
                 </ul>
             </div>
 
+            {/* Stop order optimization */}
+            {routingProvider.supportsTrip && startPoint && deliveryPoints.length > 0 && (
+              <div style={styles.optimizeContainer}>
+                <div style={styles.optimizeControls}>
+                  <select
+                    value={tripEnd}
+                    onChange={(e) => setTripEnd(e.target.value)}
+                    style={styles.tripEndDropdown}
+                  >
+                    {tripEndOptions.map((option) => (
+                      <option key={option.value} value={option.value}>
+                        {option.label}
+                      </option>
+                    ))}
+                  </select>
+                  <button
+                    onClick={handleOptimizeOrder}
+                    disabled={isOptimizing || deliveryPoints.length < 2}
+                    style={styles.btnOptimize}
+                  >
+                    {isOptimizing ? 'Optimizing...' : 'Optimize order'}
+                  </button>
+                </div>
+                {optimization && (
+                  <div style={styles.optimizeResult}>
+                    Saved {formatDistance(optimization.distanceSaved)} and {formatDuration(optimization.durationSaved)} vs. original order
+                  </div>
+                )}
+              </div>
+            )}
+
             {/* Distance & Time */}
             {distanceTime.distance !== null && (
               <div style={styles.metricsContainer}>
@@ -354,6 +1588,48 @@ export default function DeliveryMap() {
                 </div>
               </div>
             )}
+
+            {/* Alternative routes */}
+            {routes.length > 1 && (
+              <div style={styles.alternativesContainer}>
+                {routes.map((route, index) => (
+                  <button
+                    key={index}
+                    onClick={() => selectRoute(routes, index)}
+                    style={{ ...styles.btnAlternative, ...(index === activeRouteIndex ? styles.btnAlternativeActive : {}) }}
+                  >
+                    <span>Route {index + 1}</span>
+                    <span>{formatDistance(route.distance)} · {formatDuration(route.duration)}</span>
+                  </button>
+                ))}
+              </div>
+            )}
+
+            {/* Turn-by-turn directions */}
+            {routeSteps.length > 0 && (
+              <div style={styles.directionsContainer}>
+                <button onClick={() => setShowDirections((prev) => !prev)} style={styles.btnDirectionsToggle}>
+                  Directions ({routeSteps.length} steps)
+                  {showDirections ? <FaChevronUp /> : <FaChevronDown />}
+                </button>
+                {showDirections && (
+                  <ol style={styles.directionsList}>
+                    {routeSteps.map((step, index) => (
+                      <li
+                        key={index}
+                        onClick={() => setActiveStep(step)}
+                        style={{ ...styles.directionItem, ...(step === highlightedStep ? styles.directionItemActive : {}) }}
+                      >
+                        <span style={styles.directionInstruction}>{step.instruction}</span>
+                        {step.distance > 0 && (
+                          <span style={styles.directionDistance}>{formatDistance(step.distance)}</span>
+                        )}
+                      </li>
+                    ))}
+                  </ol>
+                )}
+              </div>
+            )}
           </div>
         )}
       </div>
@@ -393,14 +1669,6 @@ const styles = {
         alignItems: "center",
         gap: "8px",
     },
-    input: {
-        flex: 1,
-        padding: "10px 14px",
-        border: "1px solid #ddd",
-        borderRadius: "8px",
-        fontSize: "14px",
-        transition: "border-color 0.2s, box-shadow 0.2s",
-    },
     btnCurrentLocation: {
         padding: "10px 14px",
         border: "none",
@@ -437,27 +1705,8 @@ const styles = {
         backgroundColor: "#dc3545",
         color: "#fff",
     },
-    suggestionsDropdown: {
-        position: "absolute",
-        top: "100%",
-        left: 0,
-        right: 0,
-        backgroundColor: "#fff",
-        border: "1px solid #ddd",
-        borderRadius: "8px",
-        boxShadow: "0 4px 6px rgba(0, 0, 0, 0.1)",
-        maxHeight: "200px",
-        overflowY: "auto",
-        zIndex: 1001,
-        marginTop: "4px",
-    },
-    suggestionItem: {
-        padding: "10px 14px",
-        cursor: "pointer",
-        borderBottom: "1px solid #f0f0f0",
-        fontSize: "14px",
-    },
     vehicleDropdown: {
+        flex: 1,
         padding: "10px 14px",
         border: "1px solid #ddd",
         borderRadius: "8px",
@@ -469,6 +1718,20 @@ const styles = {
         flex: 1,
         position: "relative",
     },
+    dropHint: {
+        position: "absolute",
+        inset: 0,
+        zIndex: 1500,
+        display: "flex",
+        alignItems: "center",
+        justifyContent: "center",
+        backgroundColor: "rgba(0, 123, 255, 0.15)",
+        border: "3px dashed #007bff",
+        color: "#007bff",
+        fontSize: "18px",
+        fontWeight: 600,
+        pointerEvents: "none",
+    },
     mapContainer: {
         height: "100%",
         width: "100%",
@@ -483,6 +1746,8 @@ const styles = {
         boxShadow: "0 4px 12px rgba(0, 0, 0, 0.1)",
         zIndex: 900,
         width: "280px",
+        maxHeight: "calc(100% - 40px)",
+        overflowY: "auto",
     },
     cardHeader: {
         fontSize: "16px",
@@ -494,6 +1759,39 @@ const styles = {
         alignItems: "center",
         color: "#333",
     },
+    cardHeaderActions: {
+        marginLeft: "auto",
+        position: "relative",
+        display: "flex",
+        gap: "6px",
+    },
+    exportMenu: {
+        position: "absolute",
+        top: "100%",
+        left: 0,
+        marginTop: "4px",
+        display: "flex",
+        flexDirection: "column",
+        minWidth: "110px",
+        backgroundColor: "#fff",
+        border: "1px solid #ddd",
+        borderRadius: "8px",
+        boxShadow: "0 4px 6px rgba(0, 0, 0, 0.1)",
+        overflow: "hidden",
+        zIndex: 10,
+    },
+    btnCardHeader: {
+        display: "flex",
+        alignItems: "center",
+        padding: "4px 8px",
+        border: "none",
+        borderRadius: "6px",
+        cursor: "pointer",
+        fontSize: "12px",
+        fontWeight: 500,
+        backgroundColor: "#f0f4ff",
+        color: "#007bff",
+    },
     locationsListContainer: {
         marginBottom: "15px",
     },
@@ -503,11 +1801,223 @@ const styles = {
         margin: 0,
     },
     locationItem: {
+        display: "flex",
+        alignItems: "center",
+        gap: "6px",
         padding: "5px 0",
         fontSize: "14px",
         color: "#555",
         borderBottom: "1px dashed #f0f0f0",
     },
+    locationItemDragging: {
+        opacity: 0.4,
+    },
+    locationName: {
+        flex: 1,
+        overflow: "hidden",
+        textOverflow: "ellipsis",
+        whiteSpace: "nowrap",
+    },
+    legMetrics: {
+        display: "block",
+        fontSize: "12px",
+        color: "#007bff",
+    },
+    legTotals: {
+        color: "#888",
+    },
+    stopSchedule: {
+        display: "block",
+        fontSize: "12px",
+        color: "#28a745",
+    },
+    stopStatus: {
+        display: "block",
+        fontSize: "12px",
+        overflow: "hidden",
+        textOverflow: "ellipsis",
+    },
+    progress: {
+        marginBottom: "8px",
+        fontSize: "12px",
+        color: "#555",
+    },
+    progressBar: {
+        display: "flex",
+        height: "6px",
+        marginBottom: "4px",
+        borderRadius: "3px",
+        overflow: "hidden",
+        backgroundColor: "#eee",
+    },
+    stopScheduleLate: {
+        color: "#dc3545",
+        fontWeight: 600,
+    },
+    departureRow: {
+        display: "flex",
+        alignItems: "center",
+        justifyContent: "space-between",
+        marginBottom: "8px",
+        fontSize: "13px",
+        color: "#555",
+    },
+    scheduleEditor: {
+        display: "flex",
+        flexDirection: "column",
+        gap: "6px",
+        padding: "6px 0 8px 20px",
+        borderBottom: "1px dashed #f0f0f0",
+    },
+    scheduleField: {
+        display: "flex",
+        alignItems: "center",
+        gap: "6px",
+        fontSize: "12px",
+        color: "#555",
+    },
+    timeInput: {
+        padding: "3px 6px",
+        border: "1px solid #ddd",
+        borderRadius: "6px",
+        fontSize: "12px",
+    },
+    dragHandle: {
+        color: "#bbb",
+        cursor: "grab",
+        flexShrink: 0,
+    },
+    btnStopAction: {
+        padding: "4px",
+        border: "none",
+        background: "none",
+        cursor: "pointer",
+        color: "#999",
+        fontSize: "12px",
+        display: "flex",
+        alignItems: "center",
+    },
+    optimizeContainer: {
+        marginBottom: "15px",
+    },
+    optimizeControls: {
+        display: "flex",
+        gap: "8px",
+    },
+    tripEndDropdown: {
+        flex: 1,
+        padding: "6px 8px",
+        border: "1px solid #ddd",
+        borderRadius: "6px",
+        fontSize: "13px",
+        cursor: "pointer",
+        backgroundColor: "#fff",
+    },
+    btnOptimize: {
+        padding: "6px 10px",
+        border: "none",
+        borderRadius: "6px",
+        cursor: "pointer",
+        fontSize: "13px",
+        fontWeight: 500,
+        whiteSpace: "nowrap",
+        backgroundColor: "#007bff",
+        color: "#fff",
+    },
+    optimizeResult: {
+        marginTop: "8px",
+        fontSize: "12px",
+        color: "#28a745",
+    },
+    contextMenu: {
+        display: "flex",
+        flexDirection: "column",
+        minWidth: "160px",
+    },
+    contextMenuItem: {
+        padding: "8px 10px",
+        border: "none",
+        borderBottom: "1px solid #f0f0f0",
+        background: "none",
+        cursor: "pointer",
+        fontSize: "14px",
+        textAlign: "left",
+        color: "#333",
+    },
+    popupFavorite: {
+        display: "flex",
+        alignItems: "center",
+        marginTop: "6px",
+        fontWeight: 600,
+    },
+    btnPopupAction: {
+        marginTop: "6px",
+        padding: "4px 8px",
+        border: "1px solid #ddd",
+        borderRadius: "6px",
+        background: "#fff",
+        cursor: "pointer",
+        fontSize: "12px",
+        color: "#007bff",
+    },
+    contextMenuInfo: {
+        padding: "8px 10px 0",
+        fontSize: "12px",
+        color: "#555",
+    },
+    dialogOverlay: {
+        position: "fixed",
+        inset: 0,
+        backgroundColor: "rgba(0, 0, 0, 0.3)",
+        display: "flex",
+        alignItems: "center",
+        justifyContent: "center",
+        zIndex: 2000,
+    },
+    dialog: {
+        backgroundColor: "#fff",
+        padding: "20px",
+        borderRadius: "12px",
+        boxShadow: "0 4px 12px rgba(0, 0, 0, 0.15)",
+        width: "320px",
+        maxWidth: "calc(100% - 40px)",
+    },
+    dialogField: {
+        display: "flex",
+        justifyContent: "space-between",
+        alignItems: "center",
+        gap: "10px",
+        marginBottom: "10px",
+        fontSize: "14px",
+        color: "#555",
+    },
+    dialogInput: {
+        width: "100px",
+        padding: "6px 8px",
+        border: "1px solid #ddd",
+        borderRadius: "6px",
+        fontSize: "13px",
+    },
+    dialogNote: {
+        fontSize: "12px",
+        color: "#888",
+        margin: "0 0 10px 0",
+    },
+    dialogActions: {
+        display: "flex",
+        justifyContent: "flex-end",
+        gap: "8px",
+        marginTop: "15px",
+    },
+    btnSecondary: {
+        padding: "6px 10px",
+        border: "1px solid #ddd",
+        borderRadius: "6px",
+        cursor: "pointer",
+        fontSize: "13px",
+        backgroundColor: "#fff",
+        color: "#555",
+    },
     metricsContainer: {
         display: "flex",
         justifyContent: "space-between",
@@ -515,6 +2025,74 @@ const styles = {
         paddingTop: "15px",
         borderTop: "1px solid #eee",
     },
+    alternativesContainer: {
+        display: "flex",
+        flexDirection: "column",
+        gap: "6px",
+        marginTop: "15px",
+    },
+    btnAlternative: {
+        display: "flex",
+        justifyContent: "space-between",
+        padding: "6px 10px",
+        border: "1px solid #ddd",
+        borderRadius: "6px",
+        backgroundColor: "#fff",
+        cursor: "pointer",
+        fontSize: "13px",
+        color: "#555",
+    },
+    btnAlternativeActive: {
+        borderColor: "#007bff",
+        backgroundColor: "#f0f4ff",
+        color: "#007bff",
+        fontWeight: 600,
+    },
+    directionsContainer: {
+        marginTop: "15px",
+        paddingTop: "10px",
+        borderTop: "1px solid #eee",
+    },
+    btnDirectionsToggle: {
+        width: "100%",
+        display: "flex",
+        justifyContent: "space-between",
+        alignItems: "center",
+        padding: "4px 0",
+        border: "none",
+        background: "none",
+        cursor: "pointer",
+        fontSize: "14px",
+        fontWeight: 600,
+        color: "#555",
+    },
+    directionsList: {
+        listStyle: "none",
+        padding: 0,
+        margin: "8px 0 0 0",
+        maxHeight: "200px",
+        overflowY: "auto",
+    },
+    directionItem: {
+        display: "flex",
+        justifyContent: "space-between",
+        gap: "8px",
+        padding: "6px 4px",
+        fontSize: "13px",
+        color: "#555",
+        cursor: "pointer",
+        borderBottom: "1px dashed #f0f0f0",
+    },
+    directionItemActive: {
+        backgroundColor: "#fff4e5",
+    },
+    directionInstruction: {
+        flex: 1,
+    },
+    directionDistance: {
+        color: "#888",
+        whiteSpace: "nowrap",
+    },
     metricItem: {
         display: "flex",
         flexDirection: "column",
@@ -0,0 +1,254 @@
+import React, { useState, useEffect, useMemo, useRef, useId } from "react";
+import { FaStar } from "react-icons/fa";
+import { useAutocomplete } from "../hooks/useAutocomplete";
+import { matchFavorites, favoriteToPlace } from "../favorites";
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Wrap each typed word found in the label in <mark>
+const highlightMatch = (text, query) => {
+  const words = query.trim().split(/\s+/).filter(Boolean).map(escapeRegExp);
+  if (words.length === 0) return text;
+  const pattern = new RegExp(`(${words.join('|')})`, 'gi');
+  return text.split(pattern).map((part, i) => (
+    i % 2 === 1 ? <mark key={i} style={styles.match}>{part}</mark> : part
+  ));
+};
+
+const announcementFor = (status, count) => {
+  if (count > 0 && status !== 'loading') {
+    return `${count} ${count === 1 ? 'suggestion' : 'suggestions'} available. Use up and down arrows to choose.`;
+  }
+  if (status === 'loading') return 'Searching...';
+  if (status === 'error') return 'Search failed.';
+  if (status === 'done') return 'No places found.';
+  return '';
+};
+
+// Address input with geocoder suggestions, following the ARIA 1.2 combobox pattern:
+// arrow keys move through the list, Enter picks, Escape or a click outside closes it.
+// Matching favorites are listed above the geocoder results and need no network.
+// Buttons passed as children are laid out next to the input.
+export default function AddressAutocomplete({ value, onChange, onSelect, onSubmit, placeholder, label, favorites = [], children }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const containerRef = useRef(null);
+  const listboxId = useId();
+  const optionId = (index) => `${listboxId}-option-${index}`;
+
+  const { status, results } = useAutocomplete(isOpen ? value : '');
+  const favoriteMatches = useMemo(
+    () => (isOpen ? matchFavorites(favorites, value).map(favoriteToPlace) : []),
+    [isOpen, favorites, value]
+  );
+  const options = [...favoriteMatches, ...(status === 'error' ? [] : results)];
+  const showList = isOpen && (favoriteMatches.length > 0 || status !== 'idle');
+
+  useEffect(() => {
+    if (!isOpen) return;
+    const handleOutsideClick = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) {
+        setIsOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleOutsideClick);
+    document.addEventListener('touchstart', handleOutsideClick);
+    return () => {
+      document.removeEventListener('mousedown', handleOutsideClick);
+      document.removeEventListener('touchstart', handleOutsideClick);
+    };
+  }, [isOpen]);
+
+  const close = () => {
+    setIsOpen(false);
+    setActiveIndex(-1);
+  };
+
+  const choose = (place) => {
+    close();
+    onSelect(place);
+  };
+
+  const handleKeyDown = (e) => {
+    switch (e.key) {
+      case 'ArrowDown':
+        e.preventDefault();
+        if (!isOpen) {
+          setIsOpen(true);
+        } else if (options.length > 0) {
+          setActiveIndex((prev) => (prev + 1) % options.length);
+        }
+        break;
+      case 'ArrowUp':
+        e.preventDefault();
+        if (options.length > 0) {
+          setActiveIndex((prev) => (prev <= 0 ? options.length - 1 : prev - 1));
+        }
+        break;
+      case 'Enter':
+        if (showList && options[activeIndex]) {
+          e.preventDefault();
+          choose(options[activeIndex]);
+        } else if (onSubmit) {
+          e.preventDefault();
+          close();
+          onSubmit();
+        }
+        break;
+      case 'Escape':
+        if (isOpen) {
+          e.preventDefault();
+          close();
+        }
+        break;
+      case 'Tab':
+        close();
+        break;
+      default:
+        break;
+    }
+  };
+
+  return (
+    <div ref={containerRef} style={styles.container}>
+      <input
+        type="text"
+        role="combobox"
+        aria-label={label || placeholder}
+        aria-autocomplete="list"
+        aria-expanded={showList}
+        aria-controls={listboxId}
+        aria-activedescendant={showList && activeIndex >= 0 ? optionId(activeIndex) : undefined}
+        autoComplete="off"
+        value={value}
+        onChange={(e) => {
+          onChange(e.target.value);
+          setIsOpen(true);
+          setActiveIndex(-1);
+        }}
+        onKeyDown={handleKeyDown}
+        placeholder={placeholder}
+        style={styles.input}
+      />
+      {children}
+
+      <div style={{ ...styles.dropdown, display: showList ? 'block' : 'none' }}>
+        <ul id={listboxId} role="listbox" aria-label={`${label || placeholder} suggestions`} style={styles.listbox}>
+          {options.map((place, index) => (
+            <li
+              key={place.id}
+              id={optionId(index)}
+              role="option"
+              aria-selected={index === activeIndex}
+              // Keep focus in the input so the list doesn't close before the click lands
+              onMouseDown={(e) => e.preventDefault()}
+              onMouseEnter={() => setActiveIndex(index)}
+              onClick={() => choose(place)}
+              style={{ ...styles.option, ...(index === activeIndex ? styles.optionActive : {}) }}
+            >
+              {place.favorite ? (
+                <>
+                  <FaStar style={styles.favoriteIcon} aria-label="Favorite" />
+                  <strong>{highlightMatch(place.name, value)}</strong>
+                  {place.favorite.category && <span style={styles.category}>{place.favorite.category}</span>}
+                  <div style={styles.favoriteAddress}>{place.label}</div>
+                </>
+              ) : highlightMatch(place.label, value)}
+            </li>
+          ))}
+        </ul>
+        {status === 'loading' && <div style={styles.status}>Searching...</div>}
+        {status === 'error' && <div style={styles.status}>Search failed. Please try again.</div>}
+        {status === 'done' && options.length === 0 && <div style={styles.status}>No places found</div>}
+      </div>
+
+      <div aria-live="polite" style={styles.visuallyHidden}>
+        {isOpen ? announcementFor(status, options.length) : ''}
+      </div>
+    </div>
+  );
+}
+
+const styles = {
+    container: {
+        position: "relative",
+        display: "flex",
+        alignItems: "center",
+        gap: "8px",
+    },
+    input: {
+        flex: 1,
+        padding: "10px 14px",
+        border: "1px solid #ddd",
+        borderRadius: "8px",
+        fontSize: "14px",
+        transition: "border-color 0.2s, box-shadow 0.2s",
+    },
+    dropdown: {
+        position: "absolute",
+        top: "100%",
+        left: 0,
+        right: 0,
+        backgroundColor: "#fff",
+        border: "1px solid #ddd",
+        borderRadius: "8px",
+        boxShadow: "0 4px 6px rgba(0, 0, 0, 0.1)",
+        maxHeight: "200px",
+        overflowY: "auto",
+        zIndex: 1001,
+        marginTop: "4px",
+    },
+    listbox: {
+        listStyle: "none",
+        padding: 0,
+        margin: 0,
+    },
+    option: {
+        padding: "10px 14px",
+        cursor: "pointer",
+        borderBottom: "1px solid #f0f0f0",
+        fontSize: "14px",
+    },
+    optionActive: {
+        backgroundColor: "#f0f4ff",
+    },
+    favoriteIcon: {
+        color: "#f5a623",
+        marginRight: "6px",
+        verticalAlign: "-1px",
+    },
+    category: {
+        marginLeft: "6px",
+        padding: "1px 6px",
+        borderRadius: "8px",
+        backgroundColor: "#eef2f7",
+        color: "#555",
+        fontSize: "11px",
+    },
+    favoriteAddress: {
+        marginTop: "2px",
+        fontSize: "12px",
+        color: "#888",
+    },
+    match: {
+        backgroundColor: "transparent",
+        color: "inherit",
+        fontWeight: 700,
+    },
+    status: {
+        padding: "10px 14px",
+        fontSize: "13px",
+        color: "#888",
+        fontStyle: "italic",
+    },
+    visuallyHidden: {
+        position: "absolute",
+        width: "1px",
+        height: "1px",
+        margin: "-1px",
+        padding: 0,
+        overflow: "hidden",
+        clip: "rect(0, 0, 0, 0)",
+        border: 0,
+    },
+};
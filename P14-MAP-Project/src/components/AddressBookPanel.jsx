@@ -0,0 +1,167 @@
+import React, { useState } from "react";
+import { FaTimes, FaPen, FaTrash, FaFlag, FaPlus } from "react-icons/fa";
+import { matchFavorites } from "../favorites";
+
+// Group favorites by category, keeping the order categories first appear in
+const groupByCategory = (favorites) => {
+  const groups = new Map();
+  favorites.forEach((fav) => {
+    const category = fav.category || 'Other';
+    if (!groups.has(category)) groups.set(category, []);
+    groups.get(category).push(fav);
+  });
+  return [...groups.entries()];
+};
+
+// Browse and manage the address book; places are added from marker popups
+export default function AddressBookPanel({ favorites, onUse, onEdit, onDelete, onClose }) {
+  const [filter, setFilter] = useState("");
+
+  const visible = filter.trim() ? matchFavorites(favorites, filter, Infinity) : favorites;
+
+  return (
+    <div style={styles.panel}>
+      <div style={styles.header}>
+        Address book
+        <button onClick={onClose} title="Close" style={styles.btnIcon}>
+          <FaTimes />
+        </button>
+      </div>
+
+      {favorites.length === 0 ? (
+        <p style={styles.empty}>
+          No places yet. Open a marker on the map and choose "Save to address book".
+        </p>
+      ) : (
+        <input
+          type="text"
+          value={filter}
+          onChange={(e) => setFilter(e.target.value)}
+          placeholder="Filter places..."
+          aria-label="Filter places"
+          style={styles.input}
+        />
+      )}
+      {favorites.length > 0 && visible.length === 0 && <p style={styles.empty}>No matching places.</p>}
+
+      {groupByCategory(visible).map(([category, items]) => (
+        <div key={category}>
+          <div style={styles.category}>{category}</div>
+          <ul style={styles.list}>
+            {items.map((fav) => (
+              <li key={fav.id} style={styles.item}>
+                <div style={styles.details}>
+                  <span style={styles.label}>{fav.label}</span>
+                  <span style={styles.address}>{fav.address || fav.name}</span>
+                </div>
+                <button onClick={() => onUse(fav, "start")} title="Set as start" style={styles.btnIcon}>
+                  <FaFlag />
+                </button>
+                <button onClick={() => onUse(fav, "end")} title="Add as stop" style={styles.btnIcon}>
+                  <FaPlus />
+                </button>
+                <button onClick={() => onEdit(fav)} title="Edit" style={styles.btnIcon}>
+                  <FaPen />
+                </button>
+                <button onClick={() => onDelete(fav)} title="Delete" style={styles.btnIcon}>
+                  <FaTrash />
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+const styles = {
+    panel: {
+        position: "absolute",
+        top: "20px",
+        left: "60px",
+        backgroundColor: "#fff",
+        padding: "20px",
+        borderRadius: "12px",
+        boxShadow: "0 4px 12px rgba(0, 0, 0, 0.1)",
+        zIndex: 950,
+        width: "300px",
+        maxHeight: "calc(100% - 40px)",
+        overflowY: "auto",
+    },
+    header: {
+        fontSize: "16px",
+        fontWeight: "600",
+        marginBottom: "15px",
+        paddingBottom: "10px",
+        borderBottom: "1px solid #eee",
+        display: "flex",
+        justifyContent: "space-between",
+        alignItems: "center",
+        color: "#333",
+    },
+    input: {
+        width: "100%",
+        boxSizing: "border-box",
+        padding: "6px 8px",
+        border: "1px solid #ddd",
+        borderRadius: "6px",
+        fontSize: "13px",
+        marginBottom: "10px",
+    },
+    empty: {
+        fontSize: "13px",
+        color: "#888",
+        margin: "0 0 10px 0",
+    },
+    category: {
+        fontSize: "12px",
+        fontWeight: 600,
+        color: "#666",
+        textTransform: "uppercase",
+        margin: "10px 0 4px 0",
+    },
+    list: {
+        listStyle: "none",
+        padding: 0,
+        margin: 0,
+    },
+    item: {
+        display: "flex",
+        alignItems: "center",
+        gap: "4px",
+        padding: "6px 0",
+        borderBottom: "1px dashed #f0f0f0",
+    },
+    details: {
+        flex: 1,
+        minWidth: 0,
+        display: "flex",
+        flexDirection: "column",
+    },
+    label: {
+        fontSize: "14px",
+        fontWeight: 600,
+        color: "#333",
+        overflow: "hidden",
+        textOverflow: "ellipsis",
+        whiteSpace: "nowrap",
+    },
+    address: {
+        fontSize: "12px",
+        color: "#888",
+        overflow: "hidden",
+        textOverflow: "ellipsis",
+        whiteSpace: "nowrap",
+    },
+    btnIcon: {
+        padding: "4px",
+        border: "none",
+        background: "none",
+        cursor: "pointer",
+        color: "#999",
+        fontSize: "12px",
+        display: "flex",
+        alignItems: "center",
+    },
+};
@@ -0,0 +1,267 @@
+import React from "react";
+import { FaTimes, FaTrash, FaPlus } from "react-icons/fa";
+import { vehicleOptions } from "../vehicles";
+import { createFleetVehicle } from "../fleet";
+import { formatDistance, formatDuration } from "../format";
+
+// Parse an optional number input, where empty means "no limit"
+const optionalNumber = (text) => (text === '' ? null : Math.max(0, Number(text)));
+
+// Define the fleet, split the stops across it and show each vehicle's route
+export default function FleetPanel({ fleet, onChange, plan, isPlanCurrent, isPlanning, canPlan, stopNames, onPlan, onClear, onClose }) {
+  const updateVehicle = (id, changes) =>
+    onChange(fleet.map((fleetVehicle) => (fleetVehicle.id === id ? { ...fleetVehicle, ...changes } : fleetVehicle)));
+
+  return (
+    <div style={styles.panel}>
+      <div style={styles.header}>
+        Fleet
+        <button onClick={onClose} title="Close" style={styles.btnIcon}>
+          <FaTimes />
+        </button>
+      </div>
+
+      {fleet.map((fleetVehicle) => (
+        <div key={fleetVehicle.id} style={styles.vehicle}>
+          <div style={styles.row}>
+            <input
+              type="text"
+              value={fleetVehicle.name}
+              onChange={(e) => updateVehicle(fleetVehicle.id, { name: e.target.value })}
+              aria-label="Vehicle name"
+              style={{ ...styles.input, flex: 1 }}
+            />
+            <button
+              onClick={() => onChange(fleet.filter((item) => item.id !== fleetVehicle.id))}
+              title="Remove vehicle"
+              style={styles.btnIcon}
+            >
+              <FaTrash />
+            </button>
+          </div>
+          <div style={styles.row}>
+            <select
+              value={fleetVehicle.vehicle}
+              onChange={(e) => updateVehicle(fleetVehicle.id, { vehicle: e.target.value })}
+              aria-label="Vehicle type"
+              style={{ ...styles.input, flex: 1 }}
+            >
+              {vehicleOptions.map((option) => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+            <label style={styles.field}>
+              Cap.
+              <input
+                type="number"
+                min="0"
+                value={fleetVehicle.capacity ?? ''}
+                placeholder="∞"
+                onChange={(e) => updateVehicle(fleetVehicle.id, { capacity: optionalNumber(e.target.value) })}
+                aria-label="Capacity"
+                style={{ ...styles.input, width: '50px' }}
+              />
+            </label>
+            <label style={styles.field}>
+              Shift
+              <input
+                type="number"
+                min="0"
+                step="0.5"
+                value={fleetVehicle.shiftHours ?? ''}
+                placeholder="∞"
+                onChange={(e) => updateVehicle(fleetVehicle.id, { shiftHours: optionalNumber(e.target.value) })}
+                aria-label="Shift length in hours"
+                style={{ ...styles.input, width: '50px' }}
+              />
+              h
+            </label>
+          </div>
+        </div>
+      ))}
+
+      <button onClick={() => onChange([...fleet, createFleetVehicle(fleet.length)])} style={styles.btnSecondary}>
+        <FaPlus style={{ marginRight: '6px' }} />
+        Add vehicle
+      </button>
+      <p style={styles.note}>
+        Set each stop's demand from its <strong>clock</strong> button in Route Details. Every vehicle starts and ends at the start point.
+      </p>
+
+      <div style={styles.actions}>
+        <button onClick={onPlan} disabled={!canPlan || isPlanning} style={styles.btnPrimary}>
+          {isPlanning ? 'Planning...' : 'Plan routes'}
+        </button>
+        {plan && (
+          <button onClick={onClear} style={styles.btnSecondary}>Back to single route</button>
+        )}
+      </div>
+
+      {plan && !isPlanCurrent && (
+        <p style={styles.warning}>Stops or vehicles have changed since this plan was made. Plan again to update it.</p>
+      )}
+      {plan && isPlanCurrent && (
+        <div style={styles.results}>
+          {plan.routes.map(({ fleetVehicle, color, order, load, route }) => (
+            <div key={fleetVehicle.id} style={styles.result}>
+              <div style={styles.resultHeader}>
+                <span style={{ ...styles.swatch, backgroundColor: color }} />
+                {fleetVehicle.name}
+              </div>
+              {route ? (
+                <>
+                  <div style={styles.meta}>
+                    {order.length} {order.length === 1 ? 'stop' : 'stops'}
+                    {' · '}load {load}{fleetVehicle.capacity !== null && `/${fleetVehicle.capacity}`}
+                    {' · '}{formatDistance(route.distance)} · {formatDuration(route.duration)}
+                  </div>
+                  <ol style={styles.stopList}>
+                    {order.map((i) => <li key={i}>{stopNames[i]}</li>)}
+                  </ol>
+                </>
+              ) : (
+                <div style={styles.meta}>Not needed</div>
+              )}
+            </div>
+          ))}
+          {plan.unassigned.length > 0 && (
+            <p style={styles.warning}>
+              No vehicle has the capacity or shift time for: {plan.unassigned.map((i) => stopNames[i]).join(', ')}
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+const styles = {
+    panel: {
+        position: "absolute",
+        top: "20px",
+        left: "60px",
+        backgroundColor: "#fff",
+        padding: "20px",
+        borderRadius: "12px",
+        boxShadow: "0 4px 12px rgba(0, 0, 0, 0.1)",
+        zIndex: 950,
+        width: "320px",
+        maxHeight: "calc(100% - 40px)",
+        overflowY: "auto",
+    },
+    header: {
+        fontSize: "16px",
+        fontWeight: "600",
+        marginBottom: "15px",
+        paddingBottom: "10px",
+        borderBottom: "1px solid #eee",
+        display: "flex",
+        justifyContent: "space-between",
+        alignItems: "center",
+        color: "#333",
+    },
+    vehicle: {
+        display: "flex",
+        flexDirection: "column",
+        gap: "6px",
+        paddingBottom: "10px",
+        marginBottom: "10px",
+        borderBottom: "1px dashed #f0f0f0",
+    },
+    row: {
+        display: "flex",
+        alignItems: "center",
+        gap: "6px",
+    },
+    field: {
+        display: "flex",
+        alignItems: "center",
+        gap: "4px",
+        fontSize: "12px",
+        color: "#555",
+    },
+    input: {
+        minWidth: 0,
+        padding: "4px 6px",
+        border: "1px solid #ddd",
+        borderRadius: "6px",
+        fontSize: "13px",
+    },
+    note: {
+        fontSize: "12px",
+        color: "#888",
+        margin: "10px 0",
+    },
+    warning: {
+        fontSize: "12px",
+        color: "#dc3545",
+        margin: "10px 0 0 0",
+    },
+    actions: {
+        display: "flex",
+        gap: "8px",
+    },
+    results: {
+        marginTop: "15px",
+        paddingTop: "10px",
+        borderTop: "1px solid #eee",
+    },
+    result: {
+        marginBottom: "10px",
+    },
+    resultHeader: {
+        display: "flex",
+        alignItems: "center",
+        gap: "6px",
+        fontSize: "14px",
+        fontWeight: 600,
+        color: "#333",
+    },
+    swatch: {
+        width: "12px",
+        height: "12px",
+        borderRadius: "3px",
+    },
+    meta: {
+        fontSize: "12px",
+        color: "#888",
+        marginLeft: "18px",
+    },
+    stopList: {
+        margin: "4px 0 0 0",
+        paddingLeft: "36px",
+        fontSize: "12px",
+        color: "#555",
+    },
+    btnIcon: {
+        padding: "4px",
+        border: "none",
+        background: "none",
+        cursor: "pointer",
+        color: "#999",
+        fontSize: "12px",
+        display: "flex",
+        alignItems: "center",
+    },
+    btnPrimary: {
+        padding: "6px 10px",
+        border: "none",
+        borderRadius: "6px",
+        cursor: "pointer",
+        fontSize: "13px",
+        fontWeight: 500,
+        backgroundColor: "#007bff",
+        color: "#fff",
+    },
+    btnSecondary: {
+        display: "flex",
+        alignItems: "center",
+        padding: "6px 10px",
+        border: "1px solid #ddd",
+        borderRadius: "6px",
+        cursor: "pointer",
+        fontSize: "13px",
+        backgroundColor: "#fff",
+        color: "#555",
+    },
+};
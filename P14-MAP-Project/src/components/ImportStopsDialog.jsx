@@ -0,0 +1,446 @@
+import React, { useState, useEffect, useRef } from "react";
+import { FaFileImport } from "react-icons/fa";
+import { importConfig } from "../config";
+import {
+  readSpreadsheet,
+  guessColumnMapping,
+  buildImportRows,
+  geocodePendingRows,
+  importRowToStop,
+} from "../importStops";
+
+const statusLabels = {
+  pending: 'Waiting',
+  matched: 'Matched',
+  ambiguous: 'Check match',
+  failed: 'Not found',
+};
+
+const hasLocation = (row) => row.point !== null;
+
+// Import stops from a spreadsheet: pick a file, map its columns, then review the geocoded rows
+export default function ImportStopsDialog({ onImport, onClose }) {
+  const [step, setStep] = useState('file');
+  const [fileRows, setFileRows] = useState([]);
+  const [hasHeader, setHasHeader] = useState(true);
+  const [mapping, setMapping] = useState(null);
+  const [importRows, setImportRows] = useState([]);
+  const [isGeocoding, setIsGeocoding] = useState(false);
+  const abortRef = useRef(null);
+
+  // Stop geocoding if the dialog is closed part way through
+  useEffect(() => () => abortRef.current?.abort(), []);
+
+  const header = hasHeader
+    ? fileRows[0] || []
+    : (fileRows[0] || []).map((_, i) => `Column ${i + 1}`);
+  const bodyRows = hasHeader ? fileRows.slice(1) : fileRows;
+  const canContinue = mapping && (mapping.address.length > 0 || (mapping.lat >= 0 && mapping.lng >= 0));
+
+  const updateRow = (updated) =>
+    setImportRows((prev) => prev.map((row) => (row.id === updated.id ? updated : row)));
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    try {
+      const rows = await readSpreadsheet(file);
+      if (rows.length === 0) {
+        alert('This file has no rows to import.');
+        return;
+      }
+      setFileRows(rows);
+      setMapping(guessColumnMapping(rows[0]));
+      setStep('mapping');
+    } catch (error) {
+      console.error('Error reading spreadsheet:', error);
+      alert('Could not read this file. Please choose a CSV or XLSX spreadsheet.');
+    }
+  };
+
+  const toggleHeader = (checked) => {
+    setHasHeader(checked);
+    setMapping(checked ? guessColumnMapping(fileRows[0]) : { name: -1, address: [], lat: -1, lng: -1 });
+  };
+
+  const toggleAddressColumn = (index, checked) => {
+    setMapping((prev) => ({
+      ...prev,
+      address: checked
+        ? [...prev.address, index].sort((a, b) => a - b)
+        : prev.address.filter((column) => column !== index),
+    }));
+  };
+
+  const startGeocoding = async (rows) => {
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setIsGeocoding(true);
+    try {
+      await geocodePendingRows(rows, {
+        interval: importConfig.geocodeInterval,
+        signal: controller.signal,
+        onRow: updateRow,
+      });
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        console.error('Error geocoding rows:', error);
+      }
+    } finally {
+      setIsGeocoding(false);
+    }
+  };
+
+  const reviewRows = () => {
+    const rows = buildImportRows(bodyRows, mapping);
+    setImportRows(rows);
+    setStep('review');
+    startGeocoding(rows);
+  };
+
+  // Retries wait for the batch so requests stay within the geocode interval
+  const canRetry = (row) => !isGeocoding && row.query.trim() !== '';
+
+  const retryRow = (row) => {
+    const pending = { ...row, status: 'pending' };
+    updateRow(pending);
+    startGeocoding([pending]);
+  };
+
+  const chooseCandidate = (row, choice) => {
+    const place = row.candidates[choice];
+    updateRow({ ...row, choice, status: 'matched', point: { lat: place.lat, lng: place.lng } });
+  };
+
+  const selectedRows = importRows.filter((row) => row.include && hasLocation(row));
+  const counts = importRows.reduce((acc, row) => ({ ...acc, [row.status]: (acc[row.status] || 0) + 1 }), {});
+
+  const columnSelect = (key, label) => (
+    <label style={styles.field}>
+      <span>{label}</span>
+      <select
+        value={mapping[key]}
+        onChange={(e) => setMapping((prev) => ({ ...prev, [key]: Number(e.target.value) }))}
+        style={styles.select}
+      >
+        <option value={-1}>—</option>
+        {header.map((title, index) => (
+          <option key={index} value={index}>{title || `Column ${index + 1}`}</option>
+        ))}
+      </select>
+    </label>
+  );
+
+  return (
+    <div style={styles.overlay} onClick={onClose}>
+      <div style={styles.dialog} role="dialog" aria-label="Import stops" onClick={(e) => e.stopPropagation()}>
+        <div style={styles.header}>
+          <FaFileImport style={{ marginRight: '8px' }} />
+          Import stops
+        </div>
+
+        {step === 'file' && (
+          <>
+            <p style={styles.note}>
+              Choose a CSV or XLSX file with one stop per row. Rows need an address, or latitude and longitude columns.
+            </p>
+            <input type="file" accept=".csv,.tsv,.txt,.xlsx" onChange={handleFile} aria-label="Spreadsheet file" />
+          </>
+        )}
+
+        {step === 'mapping' && (
+          <>
+            <label style={styles.checkboxRow}>
+              <input type="checkbox" checked={hasHeader} onChange={(e) => toggleHeader(e.target.checked)} />
+              First row contains column names
+            </label>
+            {columnSelect('name', 'Name')}
+            <div style={styles.field}>
+              <span>Address</span>
+              <div style={styles.columnChecks}>
+                {header.map((title, index) => (
+                  <label key={index} style={styles.columnCheck}>
+                    <input
+                      type="checkbox"
+                      checked={mapping.address.includes(index)}
+                      onChange={(e) => toggleAddressColumn(index, e.target.checked)}
+                    />
+                    {title || `Column ${index + 1}`}
+                  </label>
+                ))}
+              </div>
+            </div>
+            {columnSelect('lat', 'Latitude')}
+            {columnSelect('lng', 'Longitude')}
+            <p style={styles.note}>
+              Rows with valid coordinates are placed as-is; the others are geocoded from the address columns.
+            </p>
+
+            <div style={styles.tableWrapper}>
+              <table style={styles.table}>
+                <thead>
+                  <tr>{header.map((title, index) => <th key={index} style={styles.th}>{title}</th>)}</tr>
+                </thead>
+                <tbody>
+                  {bodyRows.slice(0, 3).map((row, i) => (
+                    <tr key={i}>{header.map((_, index) => <td key={index} style={styles.td}>{row[index]}</td>)}</tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            <div style={styles.actions}>
+              <button onClick={onClose} style={styles.btnSecondary}>Cancel</button>
+              <button onClick={reviewRows} disabled={!canContinue} style={styles.btnPrimary}>
+                Continue with {bodyRows.length} {bodyRows.length === 1 ? 'row' : 'rows'}
+              </button>
+            </div>
+          </>
+        )}
+
+        {step === 'review' && (
+          <>
+            <p style={styles.note}>
+              {isGeocoding ? 'Looking up addresses... ' : ''}
+              {counts.matched || 0} matched, {counts.ambiguous || 0} to check, {counts.failed || 0} not found
+              {counts.pending ? `, ${counts.pending} waiting` : ''}
+            </p>
+
+            <div style={styles.tableWrapper}>
+              <table style={styles.table}>
+                <thead>
+                  <tr>
+                    <th style={styles.th} aria-label="Include" />
+                    <th style={styles.th}>Name</th>
+                    <th style={styles.th}>Address</th>
+                    <th style={styles.th}>Status</th>
+                    <th style={styles.th}>Match</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {importRows.map((row) => (
+                    <tr key={row.id}>
+                      <td style={styles.td}>
+                        <input
+                          type="checkbox"
+                          checked={row.include}
+                          disabled={!hasLocation(row)}
+                          onChange={(e) => updateRow({ ...row, include: e.target.checked })}
+                          aria-label={`Include ${row.name || row.query}`}
+                        />
+                      </td>
+                      <td style={styles.td}>{row.name}</td>
+                      <td style={styles.td}>
+                        {row.status === 'failed' ? (
+                          <div style={styles.retryRow}>
+                            <input
+                              type="text"
+                              value={row.query}
+                              onChange={(e) => updateRow({ ...row, query: e.target.value })}
+                              onKeyDown={(e) => e.key === 'Enter' && canRetry(row) && retryRow(row)}
+                              aria-label="Address to search"
+                              style={styles.input}
+                            />
+                            <button onClick={() => retryRow(row)} disabled={!canRetry(row)} style={styles.btnSecondary}>
+                              Retry
+                            </button>
+                          </div>
+                        ) : row.query}
+                      </td>
+                      <td style={{ ...styles.td, ...styles.status, ...styles[`status_${row.status}`] }}>
+                        {statusLabels[row.status]}
+                      </td>
+                      <td style={styles.td}>
+                        {row.status === 'ambiguous' || (row.candidates.length > 1 && row.status === 'matched') ? (
+                          <select
+                            value={row.choice}
+                            onChange={(e) => chooseCandidate(row, Number(e.target.value))}
+                            style={styles.select}
+                          >
+                            {row.candidates.map((place, index) => (
+                              <option key={place.id} value={index}>{place.label}</option>
+                            ))}
+                          </select>
+                        ) : row.choice !== null ? (
+                          row.candidates[row.choice].label
+                        ) : row.point ? (
+                          `${row.point.lat.toFixed(5)}, ${row.point.lng.toFixed(5)}`
+                        ) : null}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            <div style={styles.actions}>
+              {isGeocoding && (
+                <button onClick={() => abortRef.current.abort()} style={styles.btnSecondary}>Stop lookup</button>
+              )}
+              <button onClick={onClose} style={styles.btnSecondary}>Cancel</button>
+              <button
+                onClick={() => onImport(selectedRows.map(importRowToStop))}
+                disabled={selectedRows.length === 0}
+                style={styles.btnPrimary}
+              >
+                Add {selectedRows.length} {selectedRows.length === 1 ? 'stop' : 'stops'}
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+const styles = {
+    overlay: {
+        position: "fixed",
+        inset: 0,
+        backgroundColor: "rgba(0, 0, 0, 0.3)",
+        display: "flex",
+        alignItems: "center",
+        justifyContent: "center",
+        zIndex: 2000,
+    },
+    dialog: {
+        backgroundColor: "#fff",
+        padding: "20px",
+        borderRadius: "12px",
+        boxShadow: "0 4px 12px rgba(0, 0, 0, 0.15)",
+        width: "760px",
+        maxWidth: "calc(100% - 40px)",
+        maxHeight: "calc(100% - 40px)",
+        display: "flex",
+        flexDirection: "column",
+    },
+    header: {
+        fontSize: "16px",
+        fontWeight: "600",
+        marginBottom: "15px",
+        paddingBottom: "10px",
+        borderBottom: "1px solid #eee",
+        display: "flex",
+        alignItems: "center",
+        color: "#333",
+    },
+    note: {
+        fontSize: "12px",
+        color: "#888",
+        margin: "0 0 10px 0",
+    },
+    field: {
+        display: "flex",
+        alignItems: "flex-start",
+        gap: "10px",
+        marginBottom: "10px",
+        fontSize: "14px",
+        color: "#555",
+    },
+    checkboxRow: {
+        display: "flex",
+        alignItems: "center",
+        gap: "6px",
+        marginBottom: "10px",
+        fontSize: "14px",
+        color: "#555",
+    },
+    columnChecks: {
+        display: "flex",
+        flexWrap: "wrap",
+        gap: "4px 12px",
+    },
+    columnCheck: {
+        display: "flex",
+        alignItems: "center",
+        gap: "4px",
+        fontSize: "13px",
+    },
+    select: {
+        maxWidth: "260px",
+        padding: "4px 6px",
+        border: "1px solid #ddd",
+        borderRadius: "6px",
+        fontSize: "13px",
+    },
+    input: {
+        flex: 1,
+        minWidth: "120px",
+        padding: "4px 6px",
+        border: "1px solid #ddd",
+        borderRadius: "6px",
+        fontSize: "13px",
+    },
+    retryRow: {
+        display: "flex",
+        gap: "6px",
+    },
+    tableWrapper: {
+        overflow: "auto",
+        border: "1px solid #eee",
+        borderRadius: "8px",
+    },
+    table: {
+        width: "100%",
+        borderCollapse: "collapse",
+        fontSize: "13px",
+    },
+    th: {
+        position: "sticky",
+        top: 0,
+        backgroundColor: "#f8f9fa",
+        padding: "6px 8px",
+        textAlign: "left",
+        fontWeight: 600,
+        color: "#555",
+        borderBottom: "1px solid #eee",
+        whiteSpace: "nowrap",
+    },
+    td: {
+        padding: "6px 8px",
+        borderBottom: "1px solid #f0f0f0",
+        color: "#333",
+        verticalAlign: "middle",
+    },
+    status: {
+        fontWeight: 600,
+        whiteSpace: "nowrap",
+    },
+    status_pending: {
+        color: "#888",
+    },
+    status_matched: {
+        color: "#28a745",
+    },
+    status_ambiguous: {
+        color: "#e67e22",
+    },
+    status_failed: {
+        color: "#dc3545",
+    },
+    actions: {
+        display: "flex",
+        justifyContent: "flex-end",
+        gap: "8px",
+        marginTop: "15px",
+    },
+    btnSecondary: {
+        padding: "6px 10px",
+        border: "1px solid #ddd",
+        borderRadius: "6px",
+        cursor: "pointer",
+        fontSize: "13px",
+        backgroundColor: "#fff",
+        color: "#555",
+    },
+    btnPrimary: {
+        padding: "6px 10px",
+        border: "none",
+        borderRadius: "6px",
+        cursor: "pointer",
+        fontSize: "13px",
+        fontWeight: 500,
+        backgroundColor: "#007bff",
+        color: "#fff",
+    },
+};
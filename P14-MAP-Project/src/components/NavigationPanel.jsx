@@ -0,0 +1,140 @@
+import React from "react";
+import { FaCrosshairs, FaTimes } from "react-icons/fa";
+import { formatDistance, formatDuration } from "../format";
+
+const formatClock = (timestamp) => new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+// Turn-by-turn banner shown over the map while navigating. children go above the
+// buttons, e.g. the simulator's playback controls.
+export default function NavigationPanel({ position, progress, nextStop, isRouting, isOffRoute, isFollowing, onRecenter, onStop, children }) {
+  let status = null;
+  if (!nextStop) status = 'All stops visited';
+  else if (!position) status = 'Waiting for GPS...';
+  else if (isRouting) status = 'Recalculating route...';
+  else if (isOffRoute) status = 'Off route';
+
+  return (
+    <div style={styles.panel}>
+      {progress && progress.nextStep && nextStop && (
+        <div style={styles.maneuver}>
+          <span style={styles.maneuverDistance}>{formatDistance(progress.distanceToNextStep)}</span>
+          {progress.nextStep.instruction}
+        </div>
+      )}
+      {status && <div role="status" style={isOffRoute && !isRouting ? styles.warning : styles.status}>{status}</div>}
+
+      {progress && nextStop && (
+        <div style={styles.summary}>
+          <div>
+            <strong>{nextStop.name}</strong>
+            <div style={styles.meta}>
+              {formatDistance(progress.stopDistance)} · {formatDuration(progress.stopDuration)}
+              {' · '}ETA {formatClock(position.timestamp + progress.stopDuration * 1000)}
+            </div>
+          </div>
+          <div style={styles.meta}>
+            Route left: {formatDistance(progress.remainingDistance)} · {formatDuration(progress.remainingDuration)}
+          </div>
+        </div>
+      )}
+
+      {children}
+
+      <div style={styles.actions}>
+        {!isFollowing && position && (
+          <button onClick={onRecenter} style={styles.btnSecondary}>
+            <FaCrosshairs style={{ marginRight: '6px' }} />
+            Re-center
+          </button>
+        )}
+        <button onClick={onStop} style={styles.btnStop}>
+          <FaTimes style={{ marginRight: '6px' }} />
+          End navigation
+        </button>
+      </div>
+    </div>
+  );
+}
+
+const styles = {
+    panel: {
+        position: "absolute",
+        top: "20px",
+        left: "50%",
+        transform: "translateX(-50%)",
+        backgroundColor: "#fff",
+        padding: "15px 20px",
+        borderRadius: "12px",
+        boxShadow: "0 4px 12px rgba(0, 0, 0, 0.15)",
+        zIndex: 960,
+        width: "340px",
+        maxWidth: "calc(100% - 40px)",
+        boxSizing: "border-box",
+    },
+    maneuver: {
+        display: "flex",
+        alignItems: "baseline",
+        gap: "10px",
+        fontSize: "16px",
+        fontWeight: 600,
+        color: "#333",
+    },
+    maneuverDistance: {
+        fontSize: "20px",
+        color: "#007bff",
+        whiteSpace: "nowrap",
+    },
+    status: {
+        marginTop: "6px",
+        fontSize: "13px",
+        color: "#888",
+    },
+    warning: {
+        marginTop: "6px",
+        fontSize: "13px",
+        fontWeight: 600,
+        color: "#dc3545",
+    },
+    summary: {
+        display: "flex",
+        flexDirection: "column",
+        gap: "4px",
+        marginTop: "10px",
+        paddingTop: "10px",
+        borderTop: "1px solid #eee",
+        fontSize: "14px",
+        color: "#333",
+    },
+    meta: {
+        fontSize: "12px",
+        color: "#888",
+    },
+    actions: {
+        display: "flex",
+        justifyContent: "flex-end",
+        gap: "8px",
+        marginTop: "10px",
+    },
+    btnSecondary: {
+        display: "flex",
+        alignItems: "center",
+        padding: "6px 10px",
+        border: "1px solid #ddd",
+        borderRadius: "6px",
+        cursor: "pointer",
+        fontSize: "13px",
+        backgroundColor: "#fff",
+        color: "#555",
+    },
+    btnStop: {
+        display: "flex",
+        alignItems: "center",
+        padding: "6px 10px",
+        border: "none",
+        borderRadius: "6px",
+        cursor: "pointer",
+        fontSize: "13px",
+        backgroundColor: "#dc3545",
+        color: "#fff",
+    },
+};
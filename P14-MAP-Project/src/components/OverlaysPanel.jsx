@@ -0,0 +1,172 @@
+import React, { useRef } from "react";
+import { FaTimes, FaTrash, FaSearchPlus, FaPlus } from "react-icons/fa";
+import { overlayFileTypes } from "../overlays";
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+const describeOverlay = ({ lines, polygons, points }) =>
+  [
+    lines.length > 0 && plural(lines.length, 'track'),
+    polygons.length > 0 && plural(polygons.length, 'shape'),
+    points.length > 0 && plural(points.length, 'point'),
+  ].filter(Boolean).join(' · ');
+
+// List of imported GPX/KML/GeoJSON layers with visibility toggles
+export default function OverlaysPanel({ overlays, onAddFiles, onToggle, onZoom, onAddStops, onRemove, onClose }) {
+  const fileInputRef = useRef(null);
+
+  return (
+    <div style={styles.panel}>
+      <div style={styles.header}>
+        Layers
+        <button onClick={onClose} title="Close" style={styles.btnIcon}>
+          <FaTimes />
+        </button>
+      </div>
+
+      {overlays.length === 0 && (
+        <p style={styles.empty}>No layers yet. Add a GPX, KML or GeoJSON file, or drop one onto the map.</p>
+      )}
+      <ul style={styles.list}>
+        {overlays.map((overlay) => (
+          <li key={overlay.id} style={styles.item}>
+            <input
+              type="checkbox"
+              checked={overlay.visible}
+              onChange={() => onToggle(overlay)}
+              aria-label={`Show ${overlay.name}`}
+            />
+            <span style={{ ...styles.swatch, backgroundColor: overlay.color }} />
+            <div style={styles.details}>
+              <span style={styles.name}>{overlay.name}</span>
+              <span style={styles.meta}>{describeOverlay(overlay)}</span>
+            </div>
+            <button onClick={() => onZoom(overlay)} title="Zoom to layer" style={styles.btnIcon}>
+              <FaSearchPlus />
+            </button>
+            <button
+              onClick={() => onAddStops(overlay)}
+              disabled={overlay.points.length === 0}
+              title="Add points as stops"
+              style={styles.btnIcon}
+            >
+              <FaPlus />
+            </button>
+            <button onClick={() => onRemove(overlay)} title="Remove layer" style={styles.btnIcon}>
+              <FaTrash />
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      <div style={styles.footer}>
+        <button onClick={() => fileInputRef.current.click()} style={styles.btnSecondary}>
+          Add file
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept={overlayFileTypes}
+          multiple
+          onChange={(e) => {
+            onAddFiles([...e.target.files]);
+            e.target.value = "";
+          }}
+          style={{ display: 'none' }}
+        />
+      </div>
+    </div>
+  );
+}
+
+const styles = {
+    panel: {
+        position: "absolute",
+        top: "20px",
+        left: "60px",
+        backgroundColor: "#fff",
+        padding: "20px",
+        borderRadius: "12px",
+        boxShadow: "0 4px 12px rgba(0, 0, 0, 0.1)",
+        zIndex: 950,
+        width: "300px",
+        maxHeight: "calc(100% - 40px)",
+        overflowY: "auto",
+    },
+    header: {
+        fontSize: "16px",
+        fontWeight: "600",
+        marginBottom: "15px",
+        paddingBottom: "10px",
+        borderBottom: "1px solid #eee",
+        display: "flex",
+        justifyContent: "space-between",
+        alignItems: "center",
+        color: "#333",
+    },
+    empty: {
+        fontSize: "13px",
+        color: "#888",
+        margin: "0 0 10px 0",
+    },
+    list: {
+        listStyle: "none",
+        padding: 0,
+        margin: 0,
+    },
+    item: {
+        display: "flex",
+        alignItems: "center",
+        gap: "6px",
+        padding: "6px 0",
+        borderBottom: "1px dashed #f0f0f0",
+    },
+    swatch: {
+        flexShrink: 0,
+        width: "12px",
+        height: "12px",
+        borderRadius: "3px",
+    },
+    details: {
+        flex: 1,
+        minWidth: 0,
+        display: "flex",
+        flexDirection: "column",
+    },
+    name: {
+        fontSize: "14px",
+        fontWeight: 600,
+        color: "#333",
+        overflow: "hidden",
+        textOverflow: "ellipsis",
+        whiteSpace: "nowrap",
+    },
+    meta: {
+        fontSize: "12px",
+        color: "#888",
+    },
+    btnIcon: {
+        padding: "4px",
+        border: "none",
+        background: "none",
+        cursor: "pointer",
+        color: "#999",
+        fontSize: "12px",
+        display: "flex",
+        alignItems: "center",
+    },
+    btnSecondary: {
+        padding: "6px 10px",
+        border: "1px solid #ddd",
+        borderRadius: "6px",
+        cursor: "pointer",
+        fontSize: "13px",
+        backgroundColor: "#fff",
+        color: "#555",
+    },
+    footer: {
+        marginTop: "15px",
+        paddingTop: "15px",
+        borderTop: "1px solid #eee",
+    },
+};
@@ -0,0 +1,279 @@
+import React from "react";
+import { createPortal } from "react-dom";
+import { FaPrint, FaTimes } from "react-icons/fa";
+import { formatDistance, formatDuration } from "../format";
+import { computeSchedule, formatTime, formatWindow } from "../schedule";
+import StaticMap from "./StaticMap";
+
+// Rows of the stop table. Leg i of the route runs into stop i; a round trip
+// has one more leg, back to the start, which gets its own row and ETA.
+const manifestRows = ({ departure, start, stops }, route) => {
+  const linesUp = route && (route.legs.length === stops.length || route.legs.length === stops.length + 1);
+  const legs = linesUp ? route.legs : [];
+  const schedule = legs.length > 0 && departure ? computeSchedule(departure, legs, stops) : [];
+  let totalDistance = 0;
+  let totalDuration = 0;
+  const withLeg = (row, leg) => {
+    if (!leg) return row;
+    totalDistance += leg.distance;
+    totalDuration += leg.duration;
+    return { ...row, leg, totalDistance, totalDuration };
+  };
+  const rows = [
+    ...(start ? [{ number: 1, place: start, name: `Start: ${start.name}`, isStart: true }] : []),
+    ...stops.map((stop, i) => withLeg(
+      { number: i + (start ? 2 : 1), place: stop, name: stop.name, eta: schedule[i] },
+      legs[i]
+    )),
+  ];
+  const returnLeg = legs[stops.length];
+  if (start && returnLeg) {
+    const lastStop = schedule[schedule.length - 1];
+    const eta = lastStop ? { arrival: lastStop.departure + returnLeg.duration / 60, outsideWindow: false } : undefined;
+    rows.push(withLeg({ number: 1, place: start, name: `Return to ${start.name}`, isReturn: true, eta }, returnLeg));
+  }
+  return rows;
+};
+
+// Paper manifest for drivers: map, stop table with signature/notes columns and
+// turn-by-turn directions. Shown as a preview on screen; index.css hides the rest
+// of the app when printing.
+export default function PrintManifest({ itinerary, route, vehicleLabel, onClose }) {
+  const rows = manifestRows(itinerary, route);
+  const markers = rows
+    .filter((row) => !row.isReturn)
+    .map((row) => ({ lat: row.place.lat, lng: row.place.lng, label: String(row.number) }));
+  const stopNames = rows.map((row) => row.place.name);
+
+  return createPortal(
+    <div className="print-manifest-overlay" style={styles.overlay}>
+      <div className="print-manifest-toolbar" style={styles.toolbar}>
+        <button onClick={() => window.print()} style={styles.btnPrimary}>
+          <FaPrint style={{ marginRight: '6px' }} />
+          Print
+        </button>
+        <button onClick={onClose} style={styles.btnSecondary}>
+          <FaTimes style={{ marginRight: '6px' }} />
+          Close
+        </button>
+      </div>
+
+      <div className="print-manifest" style={styles.page}>
+        <header style={styles.header}>
+          <h1 style={styles.title}>Route manifest</h1>
+          <div style={styles.summary}>
+            <span>{new Date().toLocaleDateString()}</span>
+            <span>{vehicleLabel}</span>
+            <span>{itinerary.stops.length} {itinerary.stops.length === 1 ? 'stop' : 'stops'}</span>
+            {route && <span>{formatDistance(route.distance)} · {formatDuration(route.duration)}</span>}
+          </div>
+          <div style={styles.driverLine}>Driver: ______________________ Vehicle reg.: ____________</div>
+        </header>
+
+        <section className="print-manifest-section" style={styles.section}>
+          <StaticMap route={route} markers={markers} />
+        </section>
+
+        <section style={styles.section}>
+          <h2 style={styles.heading}>Stops</h2>
+          <table style={styles.table}>
+            <thead>
+              <tr>
+                <th style={{ ...styles.th, width: '28px' }}>#</th>
+                <th style={styles.th}>Stop</th>
+                <th style={{ ...styles.th, width: '90px' }}>Leg</th>
+                <th style={{ ...styles.th, width: '90px' }}>Total</th>
+                <th style={{ ...styles.th, width: '80px' }}>ETA</th>
+                <th style={{ ...styles.th, width: '110px' }}>Signature</th>
+                <th style={{ ...styles.th, width: '110px' }}>Notes</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((row, i) => (
+                <tr key={i}>
+                  <td style={styles.td}>{row.number}</td>
+                  <td style={styles.td}>
+                    <strong>{row.name}</strong>
+                    {row.place.address && row.place.address !== row.place.name && (
+                      <div style={styles.address}>{row.place.address}</div>
+                    )}
+                  </td>
+                  <td style={styles.td}>
+                    {row.leg && <>{formatDistance(row.leg.distance)}<br />{formatDuration(row.leg.duration)}</>}
+                  </td>
+                  <td style={styles.td}>
+                    {row.leg && <>{formatDistance(row.totalDistance)}<br />{formatDuration(row.totalDuration)}</>}
+                  </td>
+                  <td style={styles.td}>
+                    {row.isStart && itinerary.departure && `Dep. ${itinerary.departure}`}
+                    {row.eta && (
+                      <span style={row.eta.outsideWindow ? styles.late : undefined}>{formatTime(row.eta.arrival)}</span>
+                    )}
+                    {formatWindow(row.place.schedule) && !row.isReturn && (
+                      <div style={styles.address}>{formatWindow(row.place.schedule)}</div>
+                    )}
+                  </td>
+                  <td style={styles.td} />
+                  <td style={styles.td} />
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </section>
+
+        {route && (
+          <section style={styles.section}>
+            <h2 style={styles.heading}>Directions</h2>
+            {route.legs.map((leg, i) => (
+              <div key={i} style={styles.leg}>
+                <h3 style={styles.legHeading}>
+                  {stopNames[i]} → {stopNames[i + 1]}
+                  <span style={styles.legMetrics}>
+                    {formatDistance(leg.distance)} · {formatDuration(leg.duration)}
+                  </span>
+                </h3>
+                <ol style={styles.steps}>
+                  {leg.steps.map((step, j) => (
+                    <li key={j} style={styles.step}>
+                      <span>{step.instruction}</span>
+                      {step.distance > 0 && <span style={styles.stepDistance}>{formatDistance(step.distance)}</span>}
+                    </li>
+                  ))}
+                </ol>
+              </div>
+            ))}
+          </section>
+        )}
+      </div>
+    </div>,
+    document.body
+  );
+}
+
+const styles = {
+    overlay: {
+        position: "fixed",
+        inset: 0,
+        zIndex: 3000,
+        overflowY: "auto",
+        backgroundColor: "rgba(0, 0, 0, 0.4)",
+        padding: "20px 0",
+    },
+    toolbar: {
+        display: "flex",
+        justifyContent: "center",
+        gap: "8px",
+        marginBottom: "15px",
+    },
+    page: {
+        width: "760px",
+        maxWidth: "calc(100% - 40px)",
+        margin: "0 auto",
+        padding: "30px",
+        backgroundColor: "#fff",
+        boxShadow: "0 4px 12px rgba(0, 0, 0, 0.15)",
+        color: "#222",
+        fontSize: "12px",
+        boxSizing: "border-box",
+    },
+    header: {
+        marginBottom: "15px",
+        paddingBottom: "10px",
+        borderBottom: "2px solid #222",
+    },
+    title: {
+        margin: "0 0 6px 0",
+        fontSize: "22px",
+    },
+    summary: {
+        display: "flex",
+        flexWrap: "wrap",
+        gap: "16px",
+        fontSize: "13px",
+        fontWeight: 600,
+    },
+    driverLine: {
+        marginTop: "12px",
+        fontSize: "12px",
+    },
+    section: {
+        marginBottom: "20px",
+    },
+    heading: {
+        margin: "0 0 8px 0",
+        fontSize: "15px",
+    },
+    table: {
+        width: "100%",
+        borderCollapse: "collapse",
+    },
+    th: {
+        padding: "6px",
+        border: "1px solid #999",
+        backgroundColor: "#f0f0f0",
+        textAlign: "left",
+    },
+    td: {
+        height: "36px",
+        padding: "6px",
+        border: "1px solid #999",
+        verticalAlign: "top",
+    },
+    address: {
+        marginTop: "2px",
+        color: "#555",
+    },
+    late: {
+        color: "#dc3545",
+        fontWeight: 700,
+    },
+    leg: {
+        marginBottom: "12px",
+    },
+    legHeading: {
+        display: "flex",
+        justifyContent: "space-between",
+        gap: "10px",
+        margin: "0 0 4px 0",
+        fontSize: "13px",
+    },
+    legMetrics: {
+        fontWeight: 400,
+        color: "#555",
+        whiteSpace: "nowrap",
+    },
+    steps: {
+        margin: 0,
+        paddingLeft: "22px",
+    },
+    step: {
+        padding: "2px 0",
+    },
+    stepDistance: {
+        marginLeft: "8px",
+        color: "#555",
+    },
+    btnPrimary: {
+        display: "flex",
+        alignItems: "center",
+        padding: "8px 14px",
+        border: "none",
+        borderRadius: "6px",
+        cursor: "pointer",
+        fontSize: "14px",
+        fontWeight: 500,
+        backgroundColor: "#007bff",
+        color: "#fff",
+    },
+    btnSecondary: {
+        display: "flex",
+        alignItems: "center",
+        padding: "8px 14px",
+        border: "1px solid #ddd",
+        borderRadius: "6px",
+        cursor: "pointer",
+        fontSize: "14px",
+        backgroundColor: "#fff",
+        color: "#555",
+    },
+};
@@ -0,0 +1,140 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { FaPause, FaPlay, FaRedo } from "react-icons/fa";
+import { formatDistance, formatDuration } from "../format";
+import {
+  MIN_SPEED_FACTOR,
+  MAX_SPEED_FACTOR,
+  SIMULATED_ACCURACY,
+  indexLine,
+  positionAlong,
+} from "../simulation";
+
+// How often the virtual vehicle moves, in milliseconds
+const TICK = 200;
+
+// Playback controls for a virtual vehicle driving the route at speed (m/s). Every
+// move is passed to onPosition like a GPS fix, stamped with simulated time so
+// ETAs run at the playback speed.
+export default function RouteSimulator({ route, speed, onPosition }) {
+  const line = useMemo(() => indexLine(route.coordinates), [route]);
+  const [startedAt] = useState(Date.now);
+  const [distance, setDistance] = useState(0);
+  const [isPlaying, setIsPlaying] = useState(true);
+  const [speedFactor, setSpeedFactor] = useState(MIN_SPEED_FACTOR);
+
+  const isFinished = distance >= line.length;
+  const isRunning = isPlaying && !isFinished;
+
+  useEffect(() => {
+    if (!isRunning) return undefined;
+    const timer = setInterval(() => {
+      setDistance((prev) => Math.min(line.length, prev + (speed * speedFactor * TICK) / 1000));
+    }, TICK);
+    return () => clearInterval(timer);
+  }, [isRunning, line, speed, speedFactor]);
+
+  useEffect(() => {
+    onPosition({
+      ...positionAlong(line, distance),
+      accuracy: SIMULATED_ACCURACY,
+      speed,
+      timestamp: startedAt + (distance / speed) * 1000,
+    });
+  }, [line, distance, speed, startedAt, onPosition]);
+
+  const togglePlaying = () => {
+    if (isFinished) {
+      setDistance(0);
+      setIsPlaying(true);
+    } else {
+      setIsPlaying((prev) => !prev);
+    }
+  };
+
+  return (
+    <div style={styles.simulator}>
+      <div style={styles.row}>
+        <button
+          onClick={togglePlaying}
+          title={isFinished ? 'Restart' : isRunning ? 'Pause' : 'Play'}
+          style={styles.btnPlay}
+        >
+          {isFinished ? <FaRedo /> : isRunning ? <FaPause /> : <FaPlay />}
+        </button>
+        <input
+          type="range"
+          min="0"
+          max={line.length}
+          step="any"
+          value={distance}
+          onChange={(e) => setDistance(Number(e.target.value))}
+          aria-label="Position along the route"
+          style={styles.slider}
+        />
+      </div>
+      <div style={styles.row}>
+        <span style={styles.meta}>
+          Simulation · {formatDistance(distance)} of {formatDistance(line.length)} · {formatDuration(distance / speed)}
+        </span>
+        <label style={styles.speed}>
+          <input
+            type="range"
+            min={MIN_SPEED_FACTOR}
+            max={MAX_SPEED_FACTOR}
+            value={speedFactor}
+            onChange={(e) => setSpeedFactor(Number(e.target.value))}
+            aria-label="Playback speed"
+            style={{ width: '70px' }}
+          />
+          {speedFactor}x
+        </label>
+      </div>
+    </div>
+  );
+}
+
+const styles = {
+    simulator: {
+        display: "flex",
+        flexDirection: "column",
+        gap: "4px",
+        marginTop: "10px",
+        paddingTop: "10px",
+        borderTop: "1px solid #eee",
+    },
+    row: {
+        display: "flex",
+        alignItems: "center",
+        justifyContent: "space-between",
+        gap: "8px",
+    },
+    slider: {
+        flex: 1,
+    },
+    meta: {
+        fontSize: "12px",
+        color: "#888",
+    },
+    speed: {
+        display: "flex",
+        alignItems: "center",
+        gap: "4px",
+        fontSize: "12px",
+        fontWeight: 600,
+        color: "#555",
+        whiteSpace: "nowrap",
+    },
+    btnPlay: {
+        display: "flex",
+        alignItems: "center",
+        justifyContent: "center",
+        width: "30px",
+        height: "30px",
+        border: "none",
+        borderRadius: "50%",
+        cursor: "pointer",
+        backgroundColor: "#007bff",
+        color: "#fff",
+        fontSize: "12px",
+    },
+};
@@ -0,0 +1,293 @@
+import React, { useState, useRef } from "react";
+import { FaTimes, FaCopy, FaPen, FaTrash, FaFileImport, FaFileExport } from "react-icons/fa";
+import { formatDistance, formatDuration } from "../format";
+import { downloadFile } from "../download";
+import {
+  createRouteId,
+  toSavedItinerary,
+  loadSavedRoutes,
+  persistSavedRoutes,
+  exportSavedRoutes,
+  parseSavedRoutes,
+} from "../savedRoutes";
+
+// Library of named itineraries stored on this device
+export default function SavedRoutesPanel({ itinerary, distanceTime, onLoad, onClose }) {
+  const [routes, setRoutes] = useState(loadSavedRoutes);
+  const [newName, setNewName] = useState("");
+  const [renaming, setRenaming] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const canSave = Boolean(itinerary.start) || itinerary.stops.length > 0;
+
+  const updateRoutes = (updated) => {
+    setRoutes(updated);
+    persistSavedRoutes(updated);
+  };
+
+  const saveCurrent = () => {
+    const name = newName.trim() || `Route ${routes.length + 1}`;
+    updateRoutes([
+      ...routes,
+      {
+        id: createRouteId(),
+        name,
+        savedAt: new Date().toISOString(),
+        itinerary: toSavedItinerary(itinerary),
+        distance: distanceTime.distance,
+        duration: distanceTime.duration,
+      },
+    ]);
+    setNewName("");
+  };
+
+  const finishRename = () => {
+    const name = renaming.name.trim();
+    if (name) {
+      updateRoutes(routes.map((route) => (route.id === renaming.id ? { ...route, name } : route)));
+    }
+    setRenaming(null);
+  };
+
+  const duplicateRoute = (route) => {
+    const index = routes.indexOf(route);
+    const copy = {
+      ...route,
+      id: createRouteId(),
+      name: `${route.name} (copy)`,
+      savedAt: new Date().toISOString(),
+      itinerary: toSavedItinerary(route.itinerary),
+    };
+    updateRoutes([...routes.slice(0, index + 1), copy, ...routes.slice(index + 1)]);
+  };
+
+  const deleteRoute = (route) => {
+    if (window.confirm(`Delete "${route.name}"?`)) {
+      updateRoutes(routes.filter((r) => r.id !== route.id));
+    }
+  };
+
+  const exportLibrary = () => {
+    downloadFile(exportSavedRoutes(routes), 'saved-routes.json', 'application/json');
+  };
+
+  const importLibrary = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const { routes: imported, skipped } = parseSavedRoutes(await file.text());
+      updateRoutes([...routes, ...imported]);
+      if (skipped > 0) {
+        alert(`Imported ${imported.length} routes. ${skipped} entries were not valid routes and were skipped.`);
+      }
+    } catch (error) {
+      console.error('Error importing routes:', error);
+      alert('Could not import this file. Please choose a saved routes JSON export.');
+    }
+  };
+
+  return (
+    <div style={styles.panel}>
+      <div style={styles.header}>
+        Saved routes
+        <button onClick={onClose} title="Close" style={styles.btnIcon}>
+          <FaTimes />
+        </button>
+      </div>
+
+      <div style={styles.saveRow}>
+        <input
+          type="text"
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && canSave && saveCurrent()}
+          placeholder="Name for current route..."
+          aria-label="Route name"
+          style={styles.input}
+        />
+        <button onClick={saveCurrent} disabled={!canSave} style={styles.btnPrimary}>
+          Save
+        </button>
+      </div>
+
+      {routes.length === 0 && <p style={styles.empty}>No saved routes yet.</p>}
+      <ul style={styles.list}>
+        {routes.map((route) => (
+          <li key={route.id} style={styles.item}>
+            {renaming && renaming.id === route.id ? (
+              <input
+                type="text"
+                value={renaming.name}
+                onChange={(e) => setRenaming({ ...renaming, name: e.target.value })}
+                onBlur={finishRename}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter') finishRename();
+                  if (e.key === 'Escape') setRenaming(null);
+                }}
+                aria-label="New route name"
+                autoFocus
+                style={styles.input}
+              />
+            ) : (
+              <button onClick={() => onLoad(route)} title="Load route" style={styles.btnLoad}>
+                <span style={styles.routeName}>{route.name}</span>
+                <span style={styles.routeMeta}>
+                  {route.itinerary.stops.length} {route.itinerary.stops.length === 1 ? 'stop' : 'stops'}
+                  {route.distance !== null && ` · ${formatDistance(route.distance)} · ${formatDuration(route.duration)}`}
+                </span>
+              </button>
+            )}
+            <button onClick={() => setRenaming({ id: route.id, name: route.name })} title="Rename" style={styles.btnIcon}>
+              <FaPen />
+            </button>
+            <button onClick={() => duplicateRoute(route)} title="Duplicate" style={styles.btnIcon}>
+              <FaCopy />
+            </button>
+            <button onClick={() => deleteRoute(route)} title="Delete" style={styles.btnIcon}>
+              <FaTrash />
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      <div style={styles.footer}>
+        <button onClick={exportLibrary} disabled={routes.length === 0} style={styles.btnSecondary}>
+          <FaFileExport style={{ marginRight: '6px' }} />
+          Export
+        </button>
+        <button onClick={() => fileInputRef.current.click()} style={styles.btnSecondary}>
+          <FaFileImport style={{ marginRight: '6px' }} />
+          Import
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="application/json,.json"
+          onChange={importLibrary}
+          style={{ display: 'none' }}
+        />
+      </div>
+    </div>
+  );
+}
+
+const styles = {
+    panel: {
+        position: "absolute",
+        top: "20px",
+        left: "60px",
+        backgroundColor: "#fff",
+        padding: "20px",
+        borderRadius: "12px",
+        boxShadow: "0 4px 12px rgba(0, 0, 0, 0.1)",
+        zIndex: 950,
+        width: "300px",
+        maxHeight: "calc(100% - 40px)",
+        overflowY: "auto",
+    },
+    header: {
+        fontSize: "16px",
+        fontWeight: "600",
+        marginBottom: "15px",
+        paddingBottom: "10px",
+        borderBottom: "1px solid #eee",
+        display: "flex",
+        justifyContent: "space-between",
+        alignItems: "center",
+        color: "#333",
+    },
+    saveRow: {
+        display: "flex",
+        gap: "8px",
+        marginBottom: "15px",
+    },
+    input: {
+        flex: 1,
+        minWidth: 0,
+        padding: "6px 8px",
+        border: "1px solid #ddd",
+        borderRadius: "6px",
+        fontSize: "13px",
+    },
+    empty: {
+        fontSize: "13px",
+        color: "#888",
+        margin: "0 0 15px 0",
+    },
+    list: {
+        listStyle: "none",
+        padding: 0,
+        margin: 0,
+    },
+    item: {
+        display: "flex",
+        alignItems: "center",
+        gap: "4px",
+        padding: "6px 0",
+        borderBottom: "1px dashed #f0f0f0",
+    },
+    btnLoad: {
+        flex: 1,
+        minWidth: 0,
+        display: "flex",
+        flexDirection: "column",
+        alignItems: "flex-start",
+        padding: "2px 0",
+        border: "none",
+        background: "none",
+        cursor: "pointer",
+        textAlign: "left",
+    },
+    routeName: {
+        fontSize: "14px",
+        fontWeight: 600,
+        color: "#333",
+        maxWidth: "100%",
+        overflow: "hidden",
+        textOverflow: "ellipsis",
+        whiteSpace: "nowrap",
+    },
+    routeMeta: {
+        fontSize: "12px",
+        color: "#888",
+    },
+    btnIcon: {
+        padding: "4px",
+        border: "none",
+        background: "none",
+        cursor: "pointer",
+        color: "#999",
+        fontSize: "12px",
+        display: "flex",
+        alignItems: "center",
+    },
+    btnPrimary: {
+        padding: "6px 10px",
+        border: "none",
+        borderRadius: "6px",
+        cursor: "pointer",
+        fontSize: "13px",
+        fontWeight: 500,
+        backgroundColor: "#007bff",
+        color: "#fff",
+    },
+    btnSecondary: {
+        display: "flex",
+        alignItems: "center",
+        padding: "6px 10px",
+        border: "1px solid #ddd",
+        borderRadius: "6px",
+        cursor: "pointer",
+        fontSize: "13px",
+        backgroundColor: "#fff",
+        color: "#555",
+    },
+    footer: {
+        display: "flex",
+        gap: "8px",
+        marginTop: "15px",
+        paddingTop: "15px",
+        borderTop: "1px solid #eee",
+    },
+};
@@ -0,0 +1,116 @@
+import React, { useRef, useState } from "react";
+
+const WIDTH = 280;
+const HEIGHT = 120;
+
+// Canvas the recipient signs on with a finger, stylus or mouse
+export default function SignaturePad({ onSave, onCancel }) {
+  const canvasRef = useRef(null);
+  const lastPointRef = useRef(null);
+  const [isEmpty, setIsEmpty] = useState(true);
+
+  // Pointer position in canvas pixels, whatever size the canvas is shown at
+  const pointFor = (e) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    return [
+      ((e.clientX - rect.left) / rect.width) * WIDTH,
+      ((e.clientY - rect.top) / rect.height) * HEIGHT,
+    ];
+  };
+
+  const handlePointerDown = (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    lastPointRef.current = pointFor(e);
+  };
+
+  const handlePointerMove = (e) => {
+    if (!lastPointRef.current) return;
+    const point = pointFor(e);
+    const context = canvasRef.current.getContext('2d');
+    context.strokeStyle = '#222';
+    context.lineWidth = 2;
+    context.lineCap = 'round';
+    context.beginPath();
+    context.moveTo(...lastPointRef.current);
+    context.lineTo(...point);
+    context.stroke();
+    lastPointRef.current = point;
+    setIsEmpty(false);
+  };
+
+  const endStroke = () => {
+    lastPointRef.current = null;
+  };
+
+  const clear = () => {
+    canvasRef.current.getContext('2d').clearRect(0, 0, WIDTH, HEIGHT);
+    setIsEmpty(true);
+  };
+
+  return (
+    <div style={styles.container}>
+      <canvas
+        ref={canvasRef}
+        width={WIDTH}
+        height={HEIGHT}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={endStroke}
+        onPointerCancel={endStroke}
+        aria-label="Signature"
+        style={styles.canvas}
+      />
+      <div style={styles.actions}>
+        <button onClick={clear} disabled={isEmpty} style={styles.btnSecondary}>Clear</button>
+        <button onClick={onCancel} style={styles.btnSecondary}>Cancel</button>
+        <button
+          onClick={() => onSave(canvasRef.current.toDataURL('image/png'))}
+          disabled={isEmpty}
+          style={styles.btnPrimary}
+        >
+          Save signature
+        </button>
+      </div>
+    </div>
+  );
+}
+
+const styles = {
+    container: {
+        display: "flex",
+        flexDirection: "column",
+        gap: "6px",
+    },
+    canvas: {
+        width: "100%",
+        maxWidth: `${WIDTH}px`,
+        aspectRatio: `${WIDTH} / ${HEIGHT}`,
+        border: "1px solid #ddd",
+        borderRadius: "6px",
+        backgroundColor: "#fff",
+        touchAction: "none",
+        cursor: "crosshair",
+    },
+    actions: {
+        display: "flex",
+        gap: "6px",
+    },
+    btnPrimary: {
+        padding: "4px 8px",
+        border: "none",
+        borderRadius: "6px",
+        cursor: "pointer",
+        fontSize: "12px",
+        backgroundColor: "#007bff",
+        color: "#fff",
+    },
+    btnSecondary: {
+        padding: "4px 8px",
+        border: "1px solid #ddd",
+        borderRadius: "6px",
+        cursor: "pointer",
+        fontSize: "12px",
+        backgroundColor: "#fff",
+        color: "#555",
+    },
+};
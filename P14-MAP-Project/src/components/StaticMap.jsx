@@ -0,0 +1,137 @@
+import React from "react";
+
+const TILE_SIZE = 256;
+const MAX_ZOOM = 17;
+
+// Web Mercator position of a coordinate in pixels at the given zoom
+const project = ([lat, lng], zoom) => {
+  const scale = TILE_SIZE * 2 ** zoom;
+  const sin = Math.sin((lat * Math.PI) / 180);
+  return [
+    ((lng + 180) / 360) * scale,
+    (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * scale,
+  ];
+};
+
+// [[south, west], [north, east]] around the coordinates
+const boundsOf = (coordinates) =>
+  coordinates.reduce(
+    ([[south, west], [north, east]], [lat, lng]) => [
+      [Math.min(south, lat), Math.min(west, lng)],
+      [Math.max(north, lat), Math.max(east, lng)],
+    ],
+    [[Infinity, Infinity], [-Infinity, -Infinity]]
+  );
+
+// Highest zoom at which the bounds fit inside the image with some padding
+const fitZoom = ([southWest, northEast], width, height, padding) => {
+  for (let zoom = MAX_ZOOM; zoom > 0; zoom--) {
+    const [west, south] = project(southWest, zoom);
+    const [east, north] = project(northEast, zoom);
+    if (east - west <= width - 2 * padding && south - north <= height - 2 * padding) {
+      return zoom;
+    }
+  }
+  return 0;
+};
+
+// Non-interactive map picture made of OpenStreetMap tiles, with the route line and
+// numbered markers drawn on top. Used where a live Leaflet map can't go, such as print.
+export default function StaticMap({ route, markers, width = 700, height = 360 }) {
+  const coordinates = [
+    ...(route ? route.coordinates : []),
+    ...markers.map(({ lat, lng }) => [lat, lng]),
+  ];
+  if (coordinates.length === 0) return null;
+
+  const bounds = boundsOf(coordinates);
+  const zoom = fitZoom(bounds, width, height, 30);
+  const [west, south] = project(bounds[0], zoom);
+  const [east, north] = project(bounds[1], zoom);
+  const left = (west + east) / 2 - width / 2;
+  const top = (north + south) / 2 - height / 2;
+  const toPoint = (coordinate) => {
+    const [x, y] = project(coordinate, zoom);
+    return [x - left, y - top];
+  };
+
+  const tileCount = 2 ** zoom;
+  const tiles = [];
+  for (let ty = Math.floor(top / TILE_SIZE); ty <= Math.floor((top + height) / TILE_SIZE); ty++) {
+    if (ty < 0 || ty >= tileCount) continue;
+    for (let tx = Math.floor(left / TILE_SIZE); tx <= Math.floor((left + width) / TILE_SIZE); tx++) {
+      const x = ((tx % tileCount) + tileCount) % tileCount;
+      tiles.push({
+        key: `${tx}-${ty}`,
+        url: `https://tile.openstreetmap.org/${zoom}/${x}/${ty}.png`,
+        left: tx * TILE_SIZE - left,
+        top: ty * TILE_SIZE - top,
+      });
+    }
+  }
+
+  return (
+    <div style={{ ...styles.container, width: `${width}px`, height: `${height}px` }}>
+      {tiles.map((tile) => (
+        <img
+          key={tile.key}
+          src={tile.url}
+          alt=""
+          width={TILE_SIZE}
+          height={TILE_SIZE}
+          style={{ ...styles.tile, left: `${tile.left}px`, top: `${tile.top}px` }}
+        />
+      ))}
+      <svg width={width} height={height} style={styles.overlay} aria-hidden="true">
+        {route && (
+          <polyline
+            points={route.coordinates.map((coordinate) => toPoint(coordinate).join(',')).join(' ')}
+            fill="none"
+            stroke="#007bff"
+            strokeWidth="4"
+            strokeOpacity="0.85"
+            strokeLinejoin="round"
+          />
+        )}
+        {markers.map((marker) => {
+          const [x, y] = toPoint([marker.lat, marker.lng]);
+          return (
+            <g key={marker.label}>
+              <circle cx={x} cy={y} r="10" fill="#dc3545" stroke="#fff" strokeWidth="2" />
+              <text x={x} y={y + 4} textAnchor="middle" fontSize="11" fontWeight="700" fill="#fff">
+                {marker.label}
+              </text>
+            </g>
+          );
+        })}
+      </svg>
+      <div style={styles.attribution}>&copy; OpenStreetMap contributors</div>
+    </div>
+  );
+}
+
+const styles = {
+    container: {
+        position: "relative",
+        overflow: "hidden",
+        border: "1px solid #ccc",
+        backgroundColor: "#eef0f2",
+    },
+    tile: {
+        position: "absolute",
+    },
+    overlay: {
+        position: "absolute",
+        left: 0,
+        top: 0,
+    },
+    attribution: {
+        position: "absolute",
+        right: 0,
+        bottom: 0,
+        padding: "1px 4px",
+        fontSize: "10px",
+        color: "#333",
+        backgroundColor: "rgba(255, 255, 255, 0.8)",
+    },
+};
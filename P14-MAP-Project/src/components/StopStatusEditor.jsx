@@ -0,0 +1,180 @@
+import React, { useState } from "react";
+import { FaCamera, FaSignature, FaTimes } from "react-icons/fa";
+import { stopStates, getStopState, changeStopState, readPhoto } from "../stopStatus";
+import SignaturePad from "./SignaturePad";
+
+const formatStamp = (iso) => new Date(iso).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+// Status, note and proof of delivery for one stop, shown under it in the stops list
+export default function StopStatusEditor({ status, onChange }) {
+  const [isSigning, setIsSigning] = useState(false);
+  const current = getStopState(status);
+
+  const update = (changes) => onChange({ ...status, ...changes });
+
+  const handlePhoto = async (e) => {
+    const [file] = e.target.files;
+    e.target.value = '';
+    if (!file) return;
+    try {
+      update({ photo: await readPhoto(file) });
+    } catch (error) {
+      console.error('Error reading photo:', error);
+      alert('Could not read that photo. Please try another one.');
+    }
+  };
+
+  return (
+    <li style={styles.editor}>
+      <div role="radiogroup" aria-label="Stop status" style={styles.states}>
+        {stopStates.map((option) => (
+          <button
+            key={option.value}
+            role="radio"
+            aria-checked={current.value === option.value}
+            onClick={() => onChange(changeStopState(status, option.value))}
+            style={{
+              ...styles.state,
+              borderColor: option.color,
+              ...(current.value === option.value
+                ? { backgroundColor: option.color, color: '#fff' }
+                : { color: option.color }),
+            }}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+
+      {status?.history?.length > 0 && (
+        <div style={styles.history}>
+          {status.history.map((entry) => `${getStopState(entry).label} ${formatStamp(entry.at)}`).join(' → ')}
+        </div>
+      )}
+
+      <textarea
+        value={status?.note || ''}
+        onChange={(e) => update({ note: e.target.value })}
+        placeholder="Note, e.g. left with neighbour at no. 12"
+        aria-label="Note"
+        rows={2}
+        style={styles.note}
+      />
+
+      <div style={styles.proofs}>
+        {status?.photo ? (
+          <div style={styles.proof}>
+            <img src={status.photo} alt="Proof of delivery" style={styles.proofImage} />
+            <button onClick={() => update({ photo: null })} title="Remove photo" style={styles.btnRemove}>
+              <FaTimes />
+            </button>
+          </div>
+        ) : (
+          <label style={styles.btnProof}>
+            <FaCamera style={{ marginRight: '4px' }} />
+            Photo
+            <input type="file" accept="image/*" capture="environment" onChange={handlePhoto} style={{ display: 'none' }} />
+          </label>
+        )}
+        {status?.signature ? (
+          <div style={styles.proof}>
+            <img src={status.signature} alt="Signature" style={{ ...styles.proofImage, backgroundColor: '#fff' }} />
+            <button onClick={() => update({ signature: null })} title="Remove signature" style={styles.btnRemove}>
+              <FaTimes />
+            </button>
+          </div>
+        ) : (
+          !isSigning && (
+            <button onClick={() => setIsSigning(true)} style={styles.btnProof}>
+              <FaSignature style={{ marginRight: '4px' }} />
+              Signature
+            </button>
+          )
+        )}
+      </div>
+
+      {isSigning && (
+        <SignaturePad
+          onSave={(signature) => {
+            update({ signature });
+            setIsSigning(false);
+          }}
+          onCancel={() => setIsSigning(false)}
+        />
+      )}
+    </li>
+  );
+}
+
+const styles = {
+    editor: {
+        display: "flex",
+        flexDirection: "column",
+        gap: "6px",
+        padding: "6px 0 8px 20px",
+        borderBottom: "1px dashed #f0f0f0",
+    },
+    states: {
+        display: "flex",
+        flexWrap: "wrap",
+        gap: "4px",
+    },
+    state: {
+        padding: "2px 8px",
+        border: "1px solid",
+        borderRadius: "12px",
+        backgroundColor: "#fff",
+        cursor: "pointer",
+        fontSize: "12px",
+    },
+    history: {
+        fontSize: "11px",
+        color: "#888",
+    },
+    note: {
+        padding: "4px 6px",
+        border: "1px solid #ddd",
+        borderRadius: "6px",
+        fontSize: "13px",
+        fontFamily: "inherit",
+        resize: "vertical",
+    },
+    proofs: {
+        display: "flex",
+        flexWrap: "wrap",
+        gap: "6px",
+    },
+    proof: {
+        position: "relative",
+    },
+    proofImage: {
+        display: "block",
+        height: "60px",
+        border: "1px solid #ddd",
+        borderRadius: "6px",
+    },
+    btnRemove: {
+        position: "absolute",
+        top: "2px",
+        right: "2px",
+        padding: "2px",
+        border: "none",
+        borderRadius: "50%",
+        backgroundColor: "rgba(0, 0, 0, 0.5)",
+        color: "#fff",
+        cursor: "pointer",
+        fontSize: "10px",
+        display: "flex",
+    },
+    btnProof: {
+        display: "flex",
+        alignItems: "center",
+        padding: "4px 8px",
+        border: "1px solid #ddd",
+        borderRadius: "6px",
+        cursor: "pointer",
+        fontSize: "12px",
+        backgroundColor: "#fff",
+        color: "#555",
+    },
+};
@@ -0,0 +1,19 @@
+// Deployment settings, read from VITE_* environment variables (see .env.example)
+const env = import.meta.env;
+
+export const routingConfig = {
+  provider: env.VITE_ROUTING_PROVIDER || 'osrm',
+  url: env.VITE_ROUTING_URL || undefined,
+  apiKey: env.VITE_ROUTING_API_KEY || undefined,
+};
+
+export const geocoderConfig = {
+  provider: env.VITE_GEOCODER || 'nominatim',
+  url: env.VITE_GEOCODER_URL || undefined,
+  apiKey: env.VITE_GEOCODER_API_KEY || undefined,
+};
+
+export const importConfig = {
+  // Milliseconds between geocoder requests when importing stops; public Nominatim allows one per second
+  geocodeInterval: Number(env.VITE_IMPORT_GEOCODE_INTERVAL) || 1000,
+};
@@ -0,0 +1,109 @@
+// Export of the current itinerary for navigation devices and GIS tools
+//
+// Every format gets the start and stops as named points and, once a route has
+// been computed, its geometry as a line along with the total distance (metres)
+// and duration (seconds).
+import { formatDistance, formatDuration } from "./format";
+
+const escapeXml = (text) =>
+  String(text).replace(/[<>&'"]/g, (char) => ({
+    '<': '&lt;',
+    '>': '&gt;',
+    '&': '&amp;',
+    "'": '&apos;',
+    '"': '&quot;',
+  })[char]);
+
+// Start first, then the stops in visiting order
+const itineraryPoints = ({ start, stops }) => [
+  ...(start ? [{ ...start, role: 'start' }] : []),
+  ...stops.map((stop) => ({ ...stop, role: 'stop' })),
+];
+
+const routeSummary = (route) => `${formatDistance(route.distance)}, ${formatDuration(route.duration)}`;
+
+const toGpx = (itinerary, route, name) => {
+  const waypoints = itineraryPoints(itinerary).map((point) => `  <wpt lat="${point.lat}" lon="${point.lng}">
+    <name>${escapeXml(point.name)}</name>
+    <desc>${escapeXml(point.address || '')}</desc>
+    <type>${point.role}</type>
+  </wpt>`);
+  const track = route ? [`  <trk>
+    <name>${escapeXml(name)}</name>
+    <desc>${escapeXml(routeSummary(route))}</desc>
+    <trkseg>
+${route.coordinates.map(([lat, lng]) => `      <trkpt lat="${lat}" lon="${lng}"/>`).join('\n')}
+    </trkseg>
+  </trk>`] : [];
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="CustomMap" xmlns="http://www.topografix.com/GPX/1/1">
+  <metadata>
+    <name>${escapeXml(name)}</name>
+    <time>${new Date().toISOString()}</time>
+  </metadata>
+${[...waypoints, ...track].join('\n')}
+</gpx>
+`;
+};
+
+const kmlData = (fields) => `
+      <ExtendedData>
+${Object.entries(fields).map(([key, value]) => `        <Data name="${key}"><value>${escapeXml(value)}</value></Data>`).join('\n')}
+      </ExtendedData>`;
+
+const toKml = (itinerary, route, name) => {
+  const placemarks = itineraryPoints(itinerary).map((point) => `    <Placemark>
+      <name>${escapeXml(point.name)}</name>
+      <description>${escapeXml(point.address || '')}</description>${kmlData({ role: point.role })}
+      <Point><coordinates>${point.lng},${point.lat}</coordinates></Point>
+    </Placemark>`);
+  const line = route ? [`    <Placemark>
+      <name>${escapeXml(name)}</name>
+      <description>${escapeXml(routeSummary(route))}</description>${kmlData({ distance: route.distance, duration: route.duration, vehicle: itinerary.vehicle })}
+      <Style><LineStyle><color>ffff7b00</color><width>4</width></LineStyle></Style>
+      <LineString>
+        <tessellate>1</tessellate>
+        <coordinates>${route.coordinates.map(([lat, lng]) => `${lng},${lat}`).join(' ')}</coordinates>
+      </LineString>
+    </Placemark>`] : [];
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${escapeXml(name)}</name>
+${[...placemarks, ...line].join('\n')}
+  </Document>
+</kml>
+`;
+};
+
+const toGeoJson = (itinerary, route, name) => {
+  const points = itineraryPoints(itinerary).map((point, index) => ({
+    type: 'Feature',
+    geometry: { type: 'Point', coordinates: [point.lng, point.lat] },
+    properties: { role: point.role, order: index + 1, name: point.name, address: point.address || '' },
+  }));
+  const line = route ? [{
+    type: 'Feature',
+    geometry: { type: 'LineString', coordinates: route.coordinates.map(([lat, lng]) => [lng, lat]) },
+    properties: { name, vehicle: itinerary.vehicle, distance: route.distance, duration: route.duration },
+  }] : [];
+  return JSON.stringify({ type: 'FeatureCollection', features: [...points, ...line] }, null, 2);
+};
+
+export const exportFormats = [
+  { value: 'gpx', label: 'GPX', extension: 'gpx', mimeType: 'application/gpx+xml', build: toGpx },
+  { value: 'kml', label: 'KML', extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml', build: toKml },
+  { value: 'geojson', label: 'GeoJSON', extension: 'geojson', mimeType: 'application/geo+json', build: toGeoJson },
+];
+
+// Build the file for one format. route is the active computed route, or null.
+export const exportItinerary = (format, itinerary, route) => {
+  const { extension, mimeType, build } = exportFormats.find((option) => option.value === format);
+  const date = new Date().toISOString().slice(0, 10);
+  const name = `Route ${date}`;
+  return {
+    content: build(itinerary, route, name),
+    filename: `route-${date}.${extension}`,
+    type: mimeType,
+  };
+};
@@ -0,0 +1,61 @@
+// Address book of frequently used places, kept in localStorage
+//
+// A favorite is { id, label, category, name, address, lat, lng }: label is the
+// user's own name for the place ("Main depot"), name and address are what the
+// geocoder called it when it was saved.
+
+const STORAGE_KEY = 'customMap.favorites';
+
+export const defaultCategories = ['Depot', 'Warehouse', 'Customer', 'Other'];
+
+export const createFavoriteId = () => `fav-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+export const loadFavorites = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+  } catch (error) {
+    console.error('Error reading favorites:', error);
+    return [];
+  }
+};
+
+export const persistFavorites = (favorites) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(favorites));
+};
+
+// Defaults first, then any categories the user made up
+export const listCategories = (favorites) => [
+  ...new Set([...defaultCategories, ...favorites.map((fav) => fav.category).filter(Boolean)]),
+];
+
+// Coordinates rounded like shared links (5 decimals, about a metre), so a place
+// restored from a link or reload still matches the favorite it came from
+const roundedKey = ({ lat, lng }) => `${Math.round(lat * 1e5)},${Math.round(lng * 1e5)}`;
+
+export const findFavoriteAt = (favorites, point) => {
+  const key = roundedKey(point);
+  return favorites.find((fav) => roundedKey(fav) === key) || null;
+};
+
+// Favorites whose label, category or address contain every typed word.
+// Runs locally, so it works without a network connection.
+export const matchFavorites = (favorites, query, limit = 5) => {
+  const words = query.trim().toLowerCase().split(/\s+/).filter(Boolean);
+  if (words.length === 0) return [];
+  return favorites
+    .filter((fav) => {
+      const text = `${fav.label} ${fav.category} ${fav.name} ${fav.address}`.toLowerCase();
+      return words.every((word) => text.includes(word));
+    })
+    .slice(0, limit);
+};
+
+// Same shape as a geocoder result, so a favorite can be picked like any suggestion
+export const favoriteToPlace = (fav) => ({
+  id: fav.id,
+  name: fav.label,
+  label: fav.address || fav.name,
+  lat: fav.lat,
+  lng: fav.lng,
+  favorite: fav,
+});
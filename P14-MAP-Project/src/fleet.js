@@ -0,0 +1,122 @@
+// Fleet planning: split the stops across several vehicles
+//
+// A fleet vehicle is { id, name, vehicle, capacity, shiftHours }, where vehicle
+// is a vehicleOptions value, capacity the total demand it can carry and
+// shiftHours the longest it may be out, service times and the drive back to
+// the depot included (either may be null for no limit). Every route starts and
+// ends at the start point, which acts as the depot.
+import { haversine } from "./geo";
+
+const STORAGE_KEY = 'customMap.fleet';
+
+// Detour factor applied to straight-line distances when estimating
+const DETOUR_FACTOR = 1.3;
+
+export const fleetColors = ['#007bff', '#e6194b', '#3cb44b', '#f58231', '#911eb4', '#008080', '#9a6324', '#808000'];
+
+export const createFleetVehicle = (index, vehicle = 'driving-car') => ({
+  id: `vehicle-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+  name: `Vehicle ${index + 1}`,
+  vehicle,
+  capacity: null,
+  shiftHours: 8,
+});
+
+export const loadFleet = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+  } catch (error) {
+    console.error('Error reading fleet:', error);
+    return [];
+  }
+};
+
+export const persistFleet = (fleet) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(fleet));
+};
+
+// Identifies the inputs a plan was made from, so a stale plan can be spotted
+export const fleetPlanKey = (depot, stops, fleet) => JSON.stringify([depot, stops, fleet]);
+
+// Travel times (seconds) and distances (metres) between all points for one vehicle:
+// from the router's table service when it has one, otherwise estimated from the
+// straight-line distance and the vehicle's average speed.
+const travelMatrix = async (provider, points, vehicle, signal) => {
+  if (provider.supportsTable) {
+    const { durations, distances } = await provider.table({ waypoints: points, vehicle, signal });
+    const reachable = (row) => row.map((value) => (value === null ? Infinity : value));
+    return { durations: durations.map(reachable), distances: distances.map(reachable) };
+  }
+  const distances = points.map((from) => points.map((to) => haversine(from, to) * DETOUR_FACTOR));
+  const speed = (vehicle.averageSpeed * 1000) / 3600;
+  return { distances, durations: distances.map((row) => row.map((distance) => distance / speed)) };
+};
+
+// Assign stops to vehicles by cheapest insertion: repeatedly place the stop whose
+// insertion adds the least time anywhere in any route that still has the capacity
+// and shift time for it. Unconstrained stops share the fewest routes, since every
+// extra vehicle has to drive out from the depot and back.
+const assignStops = (stops, fleet, matrices) => {
+  const routes = fleet.map((fleetVehicle) => ({ fleetVehicle, order: [], load: 0, duration: 0 }));
+  const unassigned = new Set(stops.map((_, i) => i));
+
+  while (unassigned.size > 0) {
+    let best = null;
+    unassigned.forEach((stopIndex) => {
+      const { demand = 0, service = 0 } = stops[stopIndex];
+      routes.forEach((route) => {
+        const { capacity, shiftHours, vehicle } = route.fleetVehicle;
+        if (capacity !== null && route.load + demand > capacity) return;
+        const { durations } = matrices[vehicle];
+        // Matrix index 0 is the depot, stop i is i + 1
+        const sequence = [0, ...route.order.map((i) => i + 1), 0];
+        const node = stopIndex + 1;
+        for (let position = 0; position < sequence.length - 1; position++) {
+          const from = sequence[position];
+          const to = sequence[position + 1];
+          const added = durations[from][node] + durations[node][to] - durations[from][to] + service * 60;
+          if (!Number.isFinite(added)) continue;
+          if (shiftHours !== null && route.duration + added > shiftHours * 3600) continue;
+          if (!best || added < best.added) {
+            best = { stopIndex, route, position, added };
+          }
+        }
+      });
+    });
+    if (!best) break;
+    best.route.order.splice(best.position, 0, best.stopIndex);
+    best.route.load += stops[best.stopIndex].demand || 0;
+    best.route.duration += best.added;
+    unassigned.delete(best.stopIndex);
+  }
+
+  return { routes, unassigned: [...unassigned] };
+};
+
+// Split stops across the fleet and fetch each vehicle's road route.
+// stops are { lat, lng, demand, service } in stop order; resolveVehicle turns a
+// vehicleOptions value into the vehicle object the routing provider expects.
+// Returns { routes: [{ fleetVehicle, color, order, load, route }], unassigned },
+// where order and unassigned are indices into stops and route is null for idle vehicles.
+export const planFleetRoutes = async ({ provider, depot, stops, fleet, resolveVehicle, signal }) => {
+  const points = [depot, ...stops.map(({ lat, lng }) => ({ lat, lng }))];
+  const matrices = {};
+  for (const { vehicle } of fleet) {
+    if (!matrices[vehicle]) {
+      matrices[vehicle] = await travelMatrix(provider, points, resolveVehicle(vehicle), signal);
+    }
+  }
+
+  const { routes, unassigned } = assignStops(stops, fleet, matrices);
+
+  const planned = [];
+  for (const [index, { fleetVehicle, order, load }] of routes.entries()) {
+    let route = null;
+    if (order.length > 0) {
+      const waypoints = [depot, ...order.map((i) => points[i + 1]), depot];
+      [route] = await provider.route({ waypoints, vehicle: resolveVehicle(fleetVehicle.vehicle), signal });
+    }
+    planned.push({ fleetVehicle, color: fleetColors[index % fleetColors.length], order, load, route });
+  }
+  return { routes: planned, unassigned };
+};
@@ -0,0 +1,18 @@
+// Helper function to format duration
+export const formatDuration = (seconds) => {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  let result = '';
+  if (hours > 0) {
+    result += `${hours} hr `;
+  }
+  result += `${minutes} min`;
+  return result.trim();
+};
+
+export const formatDistance = (meters) => {
+  if (meters < 1000) {
+    return `${Math.round(meters)} m`;
+  }
+  return `${(meters / 1000).toFixed(1)} km`;
+};
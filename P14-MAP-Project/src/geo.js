@@ -0,0 +1,42 @@
+// Geometry on { lat, lng } points
+
+const EARTH_RADIUS = 6371000;
+
+const toRad = (deg) => (deg * Math.PI) / 180;
+
+// Great-circle distance in metres
+export const haversine = (a, b) => {
+  const dLat = toRad(b.lat - a.lat);
+  const dLng = toRad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS * Math.asin(Math.sqrt(h));
+};
+
+// Compass bearing from a to b in degrees, 0 being north
+export const bearing = (a, b) => {
+  const y = Math.sin(toRad(b.lng - a.lng)) * Math.cos(toRad(b.lat));
+  const x = Math.cos(toRad(a.lat)) * Math.sin(toRad(b.lat))
+    - Math.sin(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.cos(toRad(b.lng - a.lng));
+  return ((Math.atan2(y, x) * 180) / Math.PI + 360) % 360;
+};
+
+// Point a fraction of the way from a to b; fine over the short segments of a route line
+export const interpolate = (a, b, fraction) => ({
+  lat: a.lat + (b.lat - a.lat) * fraction,
+  lng: a.lng + (b.lng - a.lng) * fraction,
+});
+
+// Closest point to p on the segment a-b, as the fraction along it. Works in a
+// local flat projection around p, which is accurate at route-segment scale.
+export const projectOnSegment = (p, a, b) => {
+  const scale = Math.cos(toRad(p.lat));
+  const ax = (a.lng - p.lng) * scale;
+  const ay = a.lat - p.lat;
+  const bx = (b.lng - p.lng) * scale;
+  const by = b.lat - p.lat;
+  const dx = bx - ax;
+  const dy = by - ay;
+  const lengthSquared = dx * dx + dy * dy;
+  if (lengthSquared === 0) return 0;
+  return Math.min(1, Math.max(0, -(ax * dx + ay * dy) / lengthSquared));
+};
@@ -0,0 +1,11 @@
+// Formatting for the structured addresses returned by geocoders
+
+// "12 Main Street", or whichever part is known
+export const formatStreetAddress = ({ houseNumber, street } = {}) =>
+  street ? [houseNumber, street].filter(Boolean).join(' ') : '';
+
+// "12 Main Street, 12345 Springfield, Country"
+export const formatAddress = (address = {}) =>
+  [formatStreetAddress(address), [address.postcode, address.city].filter(Boolean).join(' '), address.country]
+    .filter(Boolean)
+    .join(', ');
@@ -0,0 +1,22 @@
+// Small least-recently-used cache: reading a key moves it to the back, and the
+// oldest entry is dropped once maxSize is reached. Relies on Map keeping insertion order.
+export const createLruCache = (maxSize) => {
+  const entries = new Map();
+
+  return {
+    get: (key) => {
+      if (!entries.has(key)) return undefined;
+      const value = entries.get(key);
+      entries.delete(key);
+      entries.set(key, value);
+      return value;
+    },
+    set: (key, value) => {
+      entries.delete(key);
+      entries.set(key, value);
+      if (entries.size > maxSize) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+  };
+};
@@ -0,0 +1,47 @@
+// Geocoders
+//
+// Every geocoder exposes the same interface:
+//
+//   search(query, { limit, signal })       -> Promise<Place[]>
+//   autocomplete(query, { limit, signal }) -> Promise<Place[]>
+//   reverse({ lat, lng }, { signal })      -> Promise<Place | null>
+//
+// where a Place is { id, name, label, lat, lng, address }: name is the short
+// label shown in the stop list, label the full address, and address its parts
+// ({ houseNumber, street, city, postcode, country }, any of which may be missing).
+import { geocoderConfig } from "../config";
+import { createNominatimGeocoder } from "./nominatim";
+import { createPhotonGeocoder } from "./photon";
+import { createPeliasGeocoder } from "./pelias";
+
+const geocoders = {
+  nominatim: createNominatimGeocoder,
+  photon: createPhotonGeocoder,
+  pelias: createPeliasGeocoder,
+};
+
+export const createGeocoder = ({ provider, ...options }) => {
+  const factory = geocoders[provider];
+  if (!factory) {
+    throw new Error(`Unknown geocoder "${provider}"`);
+  }
+  return factory(options);
+};
+
+export const geocoder = createGeocoder(geocoderConfig);
+
+// Describe what's at a coordinate. Only rejects when aborted: if the geocoder
+// fails or finds nothing, the coordinates themselves become the label.
+export const reverseGeocode = async (coords, { signal } = {}) => {
+  try {
+    const place = await geocoder.reverse(coords, { signal });
+    if (place) {
+      return { ...place, lat: coords.lat, lng: coords.lng };
+    }
+  } catch (error) {
+    if (error.name === 'AbortError') throw error;
+    console.error('Reverse geocoding error:', error);
+  }
+  const label = `${coords.lat.toFixed(5)}, ${coords.lng.toFixed(5)}`;
+  return { id: `point-${label}`, name: label, label, lat: coords.lat, lng: coords.lng, address: {} };
+};
@@ -0,0 +1,49 @@
+// Nominatim adapter (https://nominatim.org/release-docs/latest/api/Overview/)
+
+import { formatStreetAddress } from "./address";
+
+const normalizeAddress = (address = {}) => ({
+  houseNumber: address.house_number,
+  street: address.road || address.pedestrian || address.footway,
+  city: address.city || address.town || address.village || address.hamlet || address.municipality,
+  postcode: address.postcode,
+  country: address.country,
+});
+
+const normalizeResult = (place) => {
+  const address = normalizeAddress(place.address);
+  return {
+    id: `nominatim-${place.osm_type}-${place.osm_id}`,
+    name: place.name || formatStreetAddress(address) || place.display_name.split(',')[0],
+    label: place.display_name,
+    lat: parseFloat(place.lat),
+    lng: parseFloat(place.lon),
+    address,
+  };
+};
+
+export const createNominatimGeocoder = ({ url = 'https://nominatim.openstreetmap.org' } = {}) => {
+  const request = async (endpoint, params, signal) => {
+    const response = await fetch(`${url}/${endpoint}?${new URLSearchParams({ format: 'jsonv2', addressdetails: 1, ...params })}`, { signal });
+    if (!response.ok) {
+      throw new Error(`Nominatim ${endpoint} request failed`);
+    }
+    return response.json();
+  };
+
+  const search = async (query, { limit = 5, signal } = {}) => {
+    const data = await request('search', { q: query, limit }, signal);
+    return data.map(normalizeResult);
+  };
+
+  return {
+    id: 'nominatim',
+    search,
+    // Nominatim has no prefix matching, so autocomplete is a plain search
+    autocomplete: search,
+    reverse: async ({ lat, lng }, { signal } = {}) => {
+      const data = await request('reverse', { lat, lon: lng }, signal);
+      return data.error ? null : normalizeResult(data);
+    },
+  };
+};
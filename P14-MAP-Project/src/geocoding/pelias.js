@@ -0,0 +1,42 @@
+// Pelias adapter (https://github.com/pelias/documentation)
+
+const normalizeFeature = ({ properties, geometry }) => ({
+  id: `pelias-${properties.gid}`,
+  name: properties.name,
+  label: properties.label,
+  lat: geometry.coordinates[1],
+  lng: geometry.coordinates[0],
+  address: {
+    houseNumber: properties.housenumber,
+    street: properties.street,
+    city: properties.locality,
+    postcode: properties.postalcode,
+    country: properties.country,
+  },
+});
+
+export const createPeliasGeocoder = ({ url, apiKey } = {}) => {
+  if (!url) {
+    throw new Error('The Pelias geocoder needs VITE_GEOCODER_URL');
+  }
+
+  const request = async (endpoint, params, signal) => {
+    const query = new URLSearchParams({ ...params, ...(apiKey ? { api_key: apiKey } : {}) });
+    const response = await fetch(`${url}/v1/${endpoint}?${query}`, { signal });
+    if (!response.ok) {
+      throw new Error(`Pelias ${endpoint} request failed`);
+    }
+    const data = await response.json();
+    return data.features.map(normalizeFeature);
+  };
+
+  return {
+    id: 'pelias',
+    search: (query, { limit = 5, signal } = {}) => request('search', { text: query, size: limit }, signal),
+    autocomplete: (query, { limit = 5, signal } = {}) => request('autocomplete', { text: query, size: limit }, signal),
+    reverse: async ({ lat, lng }, { signal } = {}) => {
+      const [result] = await request('reverse', { 'point.lat': lat, 'point.lon': lng, size: 1 }, signal);
+      return result || null;
+    },
+  };
+};
@@ -0,0 +1,47 @@
+// Photon adapter (https://github.com/komoot/photon#api)
+import { formatStreetAddress, formatAddress } from "./address";
+
+const normalizeFeature = (feature) => {
+  const { properties } = feature;
+  const address = {
+    houseNumber: properties.housenumber,
+    street: properties.street,
+    city: properties.city,
+    postcode: properties.postcode,
+    country: properties.country,
+  };
+  const street = formatStreetAddress(address);
+  const name = properties.name || street || properties.city;
+  return {
+    id: `photon-${properties.osm_type}-${properties.osm_id}`,
+    name,
+    label: name === street ? formatAddress(address) : [name, formatAddress(address)].filter(Boolean).join(', '),
+    lat: feature.geometry.coordinates[1],
+    lng: feature.geometry.coordinates[0],
+    address,
+  };
+};
+
+export const createPhotonGeocoder = ({ url = 'https://photon.komoot.io' } = {}) => {
+  const request = async (endpoint, params, signal) => {
+    const response = await fetch(`${url}/${endpoint}?${new URLSearchParams(params)}`, { signal });
+    if (!response.ok) {
+      throw new Error(`Photon ${endpoint} request failed`);
+    }
+    const data = await response.json();
+    return data.features.map(normalizeFeature);
+  };
+
+  // Photon is built for search-as-you-type, so both use the same endpoint
+  const search = (query, { limit = 5, signal } = {}) => request('api', { q: query, limit }, signal);
+
+  return {
+    id: 'photon',
+    search,
+    autocomplete: search,
+    reverse: async ({ lat, lng }, { signal } = {}) => {
+      const [result] = await request('reverse', { lat, lon: lng, limit: 1 }, signal);
+      return result || null;
+    },
+  };
+};
@@ -0,0 +1,49 @@
+import { useEffect, useState } from "react";
+import { geocoder } from "../geocoding";
+import { createLruCache } from "../geocoding/cache";
+
+// Shared by every input so a query typed in one box is instant in the other
+const resultCache = createLruCache(50);
+
+// Debounced geocoder suggestions for a search string. Each new query aborts the
+// request in flight, so a slow response can never overwrite a newer one.
+// status is 'idle' (query too short), 'loading', 'done' or 'error'.
+export const useAutocomplete = (query, { minLength = 3, delay = 300 } = {}) => {
+  const [state, setState] = useState({ status: 'idle', results: [] });
+
+  useEffect(() => {
+    const text = query.trim();
+    if (text.length < minLength) {
+      setState({ status: 'idle', results: [] });
+      return;
+    }
+
+    const key = text.toLowerCase();
+    const cached = resultCache.get(key);
+    if (cached) {
+      setState({ status: 'done', results: cached });
+      return;
+    }
+
+    setState((prev) => ({ status: 'loading', results: prev.results }));
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      try {
+        const results = await geocoder.autocomplete(text, { signal: controller.signal });
+        resultCache.set(key, results);
+        setState({ status: 'done', results });
+      } catch (error) {
+        if (error.name === 'AbortError') return;
+        console.error('Error fetching suggestions:', error);
+        setState({ status: 'error', results: [] });
+      }
+    }, delay);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [query, minLength, delay]);
+
+  return state;
+};
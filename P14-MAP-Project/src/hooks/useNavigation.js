@@ -0,0 +1,117 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { routingProvider } from "../routing";
+import { haversine, bearing } from "../geo";
+import {
+  OFF_ROUTE_DISTANCE,
+  OFF_ROUTE_FIXES,
+  REROUTE_INTERVAL,
+  indexRoute,
+  hasReachedStop,
+  locateOnRoute,
+  guidance,
+} from "../navigation";
+
+// Movement below this is treated as GPS jitter when working out a heading
+const MIN_HEADING_MOVE = 3;
+
+// Sources often report no heading when slow; fall back to the direction of travel
+const headingFor = (previous, next) => {
+  if (next.heading !== null && next.heading !== undefined) return next.heading;
+  if (previous && haversine(previous, next) >= MIN_HEADING_MOVE) return bearing(previous, next);
+  return previous ? previous.heading : null;
+};
+
+// Turn-by-turn navigation to the upcoming stops ({ id, lat, lng } in visiting order)
+// for whatever positions are fed to updatePosition. Routes from the first position,
+// again whenever the stops change, and again after the vehicle has been off the
+// route for a few fixes. onArrive(stopId) is called when the next stop is reached;
+// later stops only count once they are next, even if the route passes them.
+export const useNavigation = ({ active, stops, vehicle, onArrive }) => {
+  const [position, setPosition] = useState(null);
+  const [route, setRoute] = useState(null);
+  const [isRouting, setIsRouting] = useState(false);
+  const offRouteFixesRef = useRef(0);
+  const lastRerouteRef = useRef(0);
+  const retryAfterRef = useRef(0);
+  const lastFixRef = useRef(null);
+  const controllerRef = useRef(null);
+
+  const stopsKey = stops.map((stop) => stop.id).join('|');
+  const location = useMemo(
+    () => (active && route && position ? locateOnRoute(route.indexed, position) : null),
+    [active, route, position]
+  );
+  const isOffRoute = Boolean(location && location.offset > OFF_ROUTE_DISTANCE + (position.accuracy || 0));
+
+  const updatePosition = useCallback((next) => {
+    setPosition((previous) => ({ ...next, heading: headingFor(previous, next) }));
+  }, []);
+
+  // Drop the position and route when navigation ends
+  useEffect(() => {
+    if (!active) return undefined;
+    return () => {
+      controllerRef.current?.abort();
+      controllerRef.current = null;
+      offRouteFixesRef.current = 0;
+      setPosition(null);
+      setRoute(null);
+      setIsRouting(false);
+    };
+  }, [active]);
+
+  useEffect(() => {
+    if (!active || !position || stops.length === 0) return;
+
+    // The route's first leg only leads to the next stop while the route is current
+    const [nextStop] = stops;
+    const routeToStop = route && route.key === stopsKey ? route.indexed : null;
+    if (hasReachedStop(position, nextStop, routeToStop, routeToStop && !isOffRoute ? location : null)) {
+      onArrive(nextStop.id);
+      return;
+    }
+
+    // Count each fix once, however often the effect runs for it
+    if (lastFixRef.current !== position) {
+      lastFixRef.current = position;
+      offRouteFixesRef.current = isOffRoute ? offRouteFixesRef.current + 1 : 0;
+    }
+    const isStale = !route || route.key !== stopsKey;
+    const mustReroute = offRouteFixesRef.current >= OFF_ROUTE_FIXES
+      && Date.now() - lastRerouteRef.current >= REROUTE_INTERVAL;
+    if ((!isStale && !mustReroute) || controllerRef.current || Date.now() < retryAfterRef.current) return;
+
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    lastRerouteRef.current = Date.now();
+    offRouteFixesRef.current = 0;
+    setIsRouting(true);
+    routingProvider
+      .route({
+        waypoints: [{ lat: position.lat, lng: position.lng }, ...stops.map(({ lat, lng }) => ({ lat, lng }))],
+        vehicle,
+        signal: controller.signal,
+      })
+      .then(([next]) => setRoute({ key: stopsKey, indexed: indexRoute(next) }))
+      .catch((error) => {
+        if (error.name === 'AbortError') return;
+        console.error('Error re-routing:', error);
+        // Keep navigating on the old route and try again shortly
+        retryAfterRef.current = Date.now() + REROUTE_INTERVAL;
+      })
+      .finally(() => {
+        if (controllerRef.current !== controller) return;
+        controllerRef.current = null;
+        setIsRouting(false);
+      });
+  }, [active, position, stops, stopsKey, vehicle, route, location, isOffRoute, onArrive]);
+
+  return {
+    position,
+    route: route ? route.indexed.route : null,
+    progress: location ? guidance(route.indexed, location) : null,
+    isOffRoute,
+    isRouting,
+    updatePosition,
+  };
+};
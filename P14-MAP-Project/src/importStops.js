@@ -0,0 +1,200 @@
+// Bulk import of stops from CSV or XLSX spreadsheets
+//
+// A file is read into rows of strings, the user maps its columns, and each row
+// becomes an import row:
+//
+//   { id, name, query, point, status, candidates, choice, include }
+//
+// where query is the address text to geocode, point is { lat, lng } once known,
+// and status is 'pending', 'matched', 'ambiguous' or 'failed'. Ambiguous rows
+// keep the geocoder's candidates so the user can pick the right one.
+import { geocoder } from "./geocoding";
+
+// Results further apart than this are treated as different places
+const AMBIGUOUS_DISTANCE = 1000;
+
+const headerPatterns = {
+  name: /^(name|customer|client|company|recipient|stop|contact)/i,
+  address: /(address|addr|street|city|town|postcode|post code|postal|zip|country|location|destination)/i,
+  lat: /^(lat|latitude|y)$/i,
+  lng: /^(lng|lon|long|longitude|x)$/i,
+};
+
+// The delimiter that splits the first line into the most columns
+const detectDelimiter = (text) => {
+  const firstLine = text.slice(0, text.indexOf('\n') === -1 ? undefined : text.indexOf('\n'));
+  return [',', ';', '\t'].reduce((best, delimiter) => (
+    firstLine.split(delimiter).length > firstLine.split(best).length ? delimiter : best
+  ), ',');
+};
+
+// RFC 4180 CSV: quoted fields may contain delimiters, newlines and "" escapes
+export const parseCsv = (text) => {
+  const delimiter = detectDelimiter(text);
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+};
+
+const cellToString = (cell) => {
+  if (cell === null || cell === undefined) return '';
+  if (cell instanceof Date) return cell.toISOString().slice(0, 10);
+  return String(cell).trim();
+};
+
+// Read the first sheet of an XLSX file, or a CSV/TSV text file, into rows of strings.
+// The XLSX reader is only loaded when a spreadsheet is actually opened.
+export const readSpreadsheet = async (file) => {
+  let rows;
+  if (/\.xlsx$/i.test(file.name)) {
+    const { readSheet } = await import("read-excel-file/browser");
+    rows = await readSheet(file);
+  } else {
+    rows = parseCsv((await file.text()).replace(/^\uFEFF/, ''));
+  }
+  return rows
+    .map((row) => row.map(cellToString))
+    .filter((row) => row.some((cell) => cell !== ''));
+};
+
+// Best guess at which columns hold what, from the header row.
+// address is a list, since spreadsheets often split street, city and postcode.
+export const guessColumnMapping = (header) => {
+  const find = (pattern) => header.findIndex((title) => pattern.test(title.trim()));
+  const lat = find(headerPatterns.lat);
+  const lng = find(headerPatterns.lng);
+  // "Customer address" is an address column, not a name
+  const name = header.findIndex((title) => headerPatterns.name.test(title.trim()) && !headerPatterns.address.test(title));
+  return {
+    name,
+    address: header
+      .map((title, index) => (headerPatterns.address.test(title) ? index : -1))
+      .filter((index) => index !== -1),
+    lat,
+    lng,
+  };
+};
+
+const parseCoordinate = (text, limit) => {
+  const value = Number(text.replace(',', '.'));
+  return text !== '' && Number.isFinite(value) && Math.abs(value) <= limit ? value : null;
+};
+
+// Turn spreadsheet rows into import rows. Rows with coordinates need no geocoding;
+// rows with neither an address nor coordinates are dropped.
+export const buildImportRows = (rows, mapping) =>
+  rows
+    .map((row, index) => {
+      const cell = (column) => (column >= 0 ? row[column] || '' : '');
+      const query = mapping.address.map(cell).filter(Boolean).join(', ');
+      const lat = parseCoordinate(cell(mapping.lat), 90);
+      const lng = parseCoordinate(cell(mapping.lng), 180);
+      const point = lat !== null && lng !== null ? { lat, lng } : null;
+      return {
+        id: index,
+        name: cell(mapping.name),
+        query,
+        point,
+        status: point ? 'matched' : 'pending',
+        candidates: [],
+        choice: null,
+        include: true,
+      };
+    })
+    .filter((row) => row.query || row.point);
+
+// Rough distance in metres, good enough to tell nearby results from far ones
+const distanceBetween = (a, b) => {
+  const x = (b.lng - a.lng) * Math.cos(((a.lat + b.lat) / 2) * Math.PI / 180);
+  const y = b.lat - a.lat;
+  return Math.sqrt(x * x + y * y) * 111320;
+};
+
+// Geocode one row. Several results count as ambiguous only if they are far apart;
+// a geocoder failure marks the row failed rather than stopping the batch.
+const geocodeImportRow = async (row, { signal } = {}) => {
+  try {
+    const candidates = await geocoder.search(row.query, { limit: 3, signal });
+    if (candidates.length === 0) {
+      return { ...row, status: 'failed', candidates: [], choice: null, point: null };
+    }
+    const [best] = candidates;
+    const ambiguous = candidates.some((place) => distanceBetween(best, place) > AMBIGUOUS_DISTANCE);
+    return {
+      ...row,
+      status: ambiguous ? 'ambiguous' : 'matched',
+      candidates,
+      choice: 0,
+      point: { lat: best.lat, lng: best.lng },
+    };
+  } catch (error) {
+    if (error.name === 'AbortError') throw error;
+    console.error('Geocoding error:', error);
+    return { ...row, status: 'failed', candidates: [], choice: null, point: null };
+  }
+};
+
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer);
+    reject(signal.reason);
+  }, { once: true });
+});
+
+// Geocode every pending row one at a time, at most one request per interval,
+// reporting each finished row through onRow. Rejects with an AbortError when cancelled.
+export const geocodePendingRows = async (rows, { interval, signal, onRow }) => {
+  let first = true;
+  for (const row of rows) {
+    if (row.status !== 'pending') continue;
+    if (!first) await wait(interval, signal);
+    first = false;
+    onRow(await geocodeImportRow(row, { signal }));
+  }
+};
+
+// The stop an import row adds: the spreadsheet name wins over the geocoder's
+export const importRowToStop = (row) => {
+  const place = row.choice !== null ? row.candidates[row.choice] : null;
+  const fallback = `${row.point.lat.toFixed(5)}, ${row.point.lng.toFixed(5)}`;
+  return {
+    lat: row.point.lat,
+    lng: row.point.lng,
+    name: row.name || place?.name || row.query || fallback,
+    address: place?.label || row.query || fallback,
+  };
+};
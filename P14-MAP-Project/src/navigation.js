@@ -0,0 +1,117 @@
+// Live navigation: following a moving position along the route
+//
+// Positions come from a position source and look like
+//
+//   { lat, lng, heading, accuracy, speed, timestamp }
+//
+// with heading in degrees from north (null when unknown), accuracy in metres,
+// speed in m/s and timestamp in milliseconds. The route is indexed once so each
+// new position can be snapped onto it cheaply.
+import { haversine, interpolate, projectOnSegment } from "./geo";
+
+// How far beyond the GPS accuracy a position may be from the route line
+export const OFF_ROUTE_DISTANCE = 50;
+
+// Consecutive off-route positions needed before re-routing, so one bad fix doesn't
+export const OFF_ROUTE_FIXES = 3;
+
+// Shortest gap between two re-route requests, in milliseconds
+export const REROUTE_INTERVAL = 10000;
+
+// A stop counts as reached within this many metres of it or of its leg's end
+export const ARRIVAL_RADIUS = 40;
+
+// Flatten the route into steps, each with its segments and where it starts along
+// the route (metres, measured on the line itself). legEnds holds where each leg
+// ends along the route and legEndPoints the point it ends at, on the road.
+export const indexRoute = (route) => {
+  const steps = [];
+  const legEnds = [];
+  const legEndPoints = [];
+  let along = 0;
+  route.legs.forEach((leg, legIndex) => {
+    leg.steps.forEach((step) => {
+      const points = step.coordinates.map(([lat, lng]) => ({ lat, lng }));
+      const segments = [];
+      let length = 0;
+      for (let i = 0; i < points.length - 1; i++) {
+        const segmentLength = haversine(points[i], points[i + 1]);
+        segments.push({ from: points[i], to: points[i + 1], start: along + length, length: segmentLength });
+        length += segmentLength;
+      }
+      steps.push({ ...step, legIndex, start: along, length, segments });
+      along += length;
+    });
+    legEnds.push(along);
+    const [lat, lng] = leg.steps.flatMap((step) => step.coordinates).pop();
+    legEndPoints.push({ lat, lng });
+  });
+  return { route, steps, legEnds, legEndPoints, length: along };
+};
+
+// Snap a position to the nearest point of the route. Returns { stepIndex, along,
+// offset, point }, where offset is the distance from the route line in metres.
+export const locateOnRoute = (indexed, position) => {
+  let best = null;
+  indexed.steps.forEach((step, stepIndex) => {
+    step.segments.forEach((segment) => {
+      const fraction = projectOnSegment(position, segment.from, segment.to);
+      const point = interpolate(segment.from, segment.to, fraction);
+      const offset = haversine(position, point);
+      if (!best || offset < best.offset) {
+        best = { stepIndex, along: segment.start + segment.length * fraction, offset, point };
+      }
+    });
+  });
+  return best;
+};
+
+// Whether the next stop has been reached: near its geocoded point, near where its
+// leg ends on the road (a large site can sit well away from the road), or once
+// the snapped position has come within reach of that leg end. indexed and
+// location are null when there is no on-route position on a route to this stop.
+export const hasReachedStop = (position, stop, indexed, location) => {
+  if (haversine(position, stop) <= ARRIVAL_RADIUS) return true;
+  if (!indexed) return false;
+  if (haversine(position, indexed.legEndPoints[0]) <= ARRIVAL_RADIUS) return true;
+  return Boolean(location) && location.along >= indexed.legEnds[0] - ARRIVAL_RADIUS;
+};
+
+// What the driver needs next from a snapped position: the coming maneuver and the
+// distance/time left to the next stop and to the end of the route. Time left in
+// the current step is prorated by distance.
+export const guidance = (indexed, location) => {
+  const step = indexed.steps[location.stepIndex];
+  const fraction = step.length > 0 ? (location.along - step.start) / step.length : 1;
+  let remainingDuration = step.duration * (1 - fraction);
+  let stopDuration = remainingDuration;
+  indexed.steps.slice(location.stepIndex + 1).forEach((later) => {
+    remainingDuration += later.duration;
+    if (later.legIndex === step.legIndex) stopDuration += later.duration;
+  });
+  return {
+    nextStep: indexed.steps[location.stepIndex + 1] || null,
+    distanceToNextStep: step.start + step.length - location.along,
+    stopDistance: indexed.legEnds[step.legIndex] - location.along,
+    stopDuration,
+    remainingDistance: indexed.length - location.along,
+    remainingDuration,
+  };
+};
+
+// Position source backed by the device GPS. Returns a function that stops watching.
+export const watchGpsPosition = (onPosition, onError) => {
+  const id = navigator.geolocation.watchPosition(
+    ({ coords, timestamp }) => onPosition({
+      lat: coords.latitude,
+      lng: coords.longitude,
+      heading: Number.isFinite(coords.heading) ? coords.heading : null,
+      accuracy: coords.accuracy,
+      speed: coords.speed,
+      timestamp,
+    }),
+    onError,
+    { enableHighAccuracy: true, maximumAge: 1000, timeout: 20000 }
+  );
+  return () => navigator.geolocation.clearWatch(id);
+};
@@ -0,0 +1,190 @@
+// Overlay layers read from GPX, KML and GeoJSON files
+//
+// Every file becomes one overlay:
+//
+//   { id, name, color, visible, lines, polygons, points }
+//
+// lines are [[lat, lng], ...] paths (tracks and routes), polygons are lists of
+// rings in the same form, and points are { lat, lng, name, description }
+// waypoints that can be turned into stops.
+
+const overlayColors = ['#e6194b', '#3cb44b', '#911eb4', '#f58231', '#46f0f0', '#f032e6', '#9a6324'];
+let overlayCount = 0;
+
+export const overlayFileTypes = '.gpx,.kml,.geojson,.json';
+
+const textOf = (element, tag) => element.getElementsByTagName(tag)[0]?.textContent.trim() || '';
+
+const parseXml = (text) => {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('File is not valid XML');
+  }
+  return doc;
+};
+
+const gpxPoint = (element) => [Number(element.getAttribute('lat')), Number(element.getAttribute('lon'))];
+
+const parseGpx = (text) => {
+  const doc = parseXml(text);
+  const lines = [
+    ...[...doc.getElementsByTagName('trkseg')].map((seg) => [...seg.getElementsByTagName('trkpt')].map(gpxPoint)),
+    ...[...doc.getElementsByTagName('rte')].map((rte) => [...rte.getElementsByTagName('rtept')].map(gpxPoint)),
+  ];
+  const points = [...doc.getElementsByTagName('wpt')].map((wpt) => {
+    const [lat, lng] = gpxPoint(wpt);
+    return { lat, lng, name: textOf(wpt, 'name'), description: textOf(wpt, 'desc') };
+  });
+  const metadata = doc.getElementsByTagName('metadata')[0];
+  return { name: metadata ? textOf(metadata, 'name') : '', lines, polygons: [], points };
+};
+
+// KML coordinates are "lng,lat[,alt]" tuples separated by whitespace
+const kmlCoordinates = (element) =>
+  textOf(element, 'coordinates')
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((tuple) => {
+      const [lng, lat] = tuple.split(',').map(Number);
+      return [lat, lng];
+    });
+
+// gx:Track (and KML 2.3 Track), as written by most trackers, lists its positions
+// as "lng lat [alt]" coord elements; gx:MultiTrack just groups several tracks
+const kmlTrack = (track) =>
+  [...track.getElementsByTagNameNS('*', 'coord')].map((coord) => {
+    const [lng, lat] = coord.textContent.trim().split(/\s+/).map(Number);
+    return [lat, lng];
+  });
+
+const parseKml = (text) => {
+  const doc = parseXml(text);
+  const lines = [];
+  const polygons = [];
+  const points = [];
+  [...doc.getElementsByTagName('Placemark')].forEach((placemark) => {
+    const name = textOf(placemark, 'name');
+    const description = textOf(placemark, 'description');
+    [...placemark.getElementsByTagName('Point')].forEach((point) => {
+      const [[lat, lng] = []] = kmlCoordinates(point);
+      points.push({ lat, lng, name, description });
+    });
+    [...placemark.getElementsByTagName('LineString')].forEach((line) => lines.push(kmlCoordinates(line)));
+    [...placemark.getElementsByTagNameNS('*', 'Track')].forEach((track) => lines.push(kmlTrack(track)));
+    [...placemark.getElementsByTagName('Polygon')].forEach((polygon) => {
+      polygons.push([...polygon.getElementsByTagName('LinearRing')].map(kmlCoordinates));
+    });
+  });
+  const documentName = doc.getElementsByTagName('Document')[0];
+  return { name: documentName ? textOf(documentName, 'name') : '', lines, polygons, points };
+};
+
+const toLatLng = ([lng, lat] = []) => [lat, lng];
+
+// Missing coordinate arrays are read as empty, like a MultiPoint without any
+const toPath = (coordinates) => (coordinates || []).map(toLatLng);
+
+const parseGeoJson = (text) => {
+  const data = JSON.parse(text);
+  const lines = [];
+  const polygons = [];
+  const points = [];
+
+  const addGeometry = (geometry, properties = {}) => {
+    if (!geometry) return;
+    const name = properties.name || properties.title || '';
+    const description = properties.address || properties.description || '';
+    switch (geometry.type) {
+      case 'Point': {
+        const [lng, lat] = geometry.coordinates || [];
+        points.push({ lat, lng, name, description });
+        break;
+      }
+      case 'MultiPoint':
+        (geometry.coordinates || []).forEach(([lng, lat] = []) => points.push({ lat, lng, name, description }));
+        break;
+      case 'LineString':
+        lines.push(toPath(geometry.coordinates));
+        break;
+      case 'MultiLineString':
+        (geometry.coordinates || []).forEach((line) => lines.push(toPath(line)));
+        break;
+      case 'Polygon':
+        polygons.push((geometry.coordinates || []).map(toPath));
+        break;
+      case 'MultiPolygon':
+        (geometry.coordinates || []).forEach((polygon) => polygons.push((polygon || []).map(toPath)));
+        break;
+      case 'GeometryCollection':
+        geometry.geometries.forEach((child) => addGeometry(child, properties));
+        break;
+      default:
+        break;
+    }
+  };
+
+  if (data.type === 'FeatureCollection') {
+    data.features.forEach((feature) => addGeometry(feature.geometry, feature.properties || {}));
+  } else if (data.type === 'Feature') {
+    addGeometry(data.geometry, data.properties || {});
+  } else {
+    addGeometry(data);
+  }
+  return { name: data.name || '', lines, polygons, points };
+};
+
+const parsers = {
+  gpx: parseGpx,
+  kml: parseKml,
+  geojson: parseGeoJson,
+  json: parseGeoJson,
+};
+
+// Read a dropped or chosen file into an overlay; throws if the format is unknown or empty
+export const readOverlayFile = async (file) => {
+  const extension = file.name.split('.').pop().toLowerCase();
+  const parse = parsers[extension];
+  if (!parse) {
+    throw new Error(`Unsupported file type ".${extension}"`);
+  }
+  const { name, lines, polygons: parsedPolygons, points: parsedPoints } = parse(await file.text());
+  const isFinitePair = ([lat, lng]) => Number.isFinite(lat) && Number.isFinite(lng);
+  // Positions that are missing or not numbers can't be drawn or turned into stops
+  const points = parsedPoints.filter(({ lat, lng }) => isFinitePair([lat, lng]));
+  const paths = lines.map((line) => line.filter(isFinitePair)).filter((line) => line.length > 1);
+  // A ring needs three corners; a polygon without its outer ring is dropped whole
+  const polygons = parsedPolygons
+    .map((rings) => rings.map((ring) => ring.filter(isFinitePair)))
+    .filter(([outer]) => outer && outer.length > 2)
+    .map((rings) => rings.filter((ring) => ring.length > 2));
+  if (paths.length === 0 && polygons.length === 0 && points.length === 0) {
+    throw new Error('No tracks, points or shapes found');
+  }
+  overlayCount += 1;
+  return {
+    id: `overlay-${Date.now()}-${overlayCount}`,
+    name: name || file.name,
+    color: overlayColors[(overlayCount - 1) % overlayColors.length],
+    visible: true,
+    lines: paths,
+    polygons,
+    points,
+  };
+};
+
+// [[south, west], [north, east]] around everything in the overlay
+export const overlayBounds = ({ lines, polygons, points }) => {
+  const coordinates = [
+    ...lines.flat(),
+    ...polygons.flat(2),
+    ...points.map(({ lat, lng }) => [lat, lng]),
+  ];
+  // Tracks can have too many points to spread into Math.min
+  return coordinates.reduce(
+    ([[south, west], [north, east]], [lat, lng]) => [
+      [Math.min(south, lat), Math.min(west, lng)],
+      [Math.max(north, lat), Math.max(east, lng)],
+    ],
+    [[Infinity, Infinity], [-Infinity, -Infinity]]
+  );
+};
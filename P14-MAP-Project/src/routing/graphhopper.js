@@ -0,0 +1,86 @@
+// GraphHopper adapter (https://docs.graphhopper.com/#tag/Routing-API)
+
+// Restrictions are expressed as a custom model, which needs the flexible mode
+const buildCustomModel = ({ height, weight, axleLoad, maxSpeed, hazmat }) => {
+  const priority = [];
+  if (height != null) priority.push({ if: `max_height < ${height}`, multiply_by: '0' });
+  if (weight != null) priority.push({ if: `max_weight < ${weight}`, multiply_by: '0' });
+  if (axleLoad != null) priority.push({ if: `max_axle_load < ${axleLoad}`, multiply_by: '0' });
+  if (hazmat) priority.push({ if: 'hazmat == NO', multiply_by: '0' });
+  const speed = maxSpeed != null ? [{ if: 'true', limit_to: String(maxSpeed) }] : [];
+  return priority.length > 0 || speed.length > 0 ? { priority, speed } : null;
+};
+
+// Instruction signs that close a leg
+const SIGN_VIA_REACHED = 5;
+const SIGN_FINISH = 4;
+
+const normalizeRoute = (path) => {
+  const coordinates = path.points.coordinates.map((c) => [c[1], c[0]]);
+  const legs = [];
+  let leg = { distance: 0, duration: 0, steps: [] };
+
+  path.instructions.forEach((instruction) => {
+    const [from, to] = instruction.interval;
+    leg.steps.push({
+      instruction: instruction.text,
+      name: instruction.street_name,
+      distance: instruction.distance,
+      duration: instruction.time / 1000,
+      location: { lat: coordinates[from][0], lng: coordinates[from][1] },
+      coordinates: coordinates.slice(from, to + 1),
+    });
+    leg.distance += instruction.distance;
+    leg.duration += instruction.time / 1000;
+
+    if (instruction.sign === SIGN_VIA_REACHED || instruction.sign === SIGN_FINISH) {
+      legs.push(leg);
+      leg = { distance: 0, duration: 0, steps: [] };
+    }
+  });
+
+  return {
+    coordinates,
+    distance: path.distance,
+    duration: path.time / 1000,
+    legs,
+  };
+};
+
+export const createGraphHopperProvider = ({ url = 'https://graphhopper.com/api/1', apiKey } = {}) => ({
+  id: 'graphhopper',
+  supportsTrip: false,
+  supportsTable: false,
+  supportsRestrictions: true,
+
+  route: async ({ waypoints, vehicle, alternatives = false, signal }) => {
+    const body = {
+      points: waypoints.map((p) => [p.lng, p.lat]),
+      profile: vehicle.profiles.graphhopper,
+      points_encoded: false,
+      instructions: true,
+      locale: 'en',
+    };
+    const customModel = buildCustomModel(vehicle.attributes);
+    if (customModel) {
+      body.custom_model = customModel;
+      body['ch.disable'] = true;
+    }
+    // GraphHopper only computes alternatives between two points
+    if (alternatives && waypoints.length === 2) {
+      body.algorithm = 'alternative_route';
+    }
+
+    const response = await fetch(`${url}/route${apiKey ? `?key=${encodeURIComponent(apiKey)}` : ''}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+      signal,
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.message || 'GraphHopper request failed');
+    }
+    return data.paths.map(normalizeRoute);
+  },
+});
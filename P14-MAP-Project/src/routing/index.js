@@ -0,0 +1,70 @@
+// Routing providers
+//
+// Every provider exposes the same interface so the map doesn't care which
+// router is behind it:
+//
+//   route({ waypoints, vehicle, alternatives, signal }) -> Promise<Route[]>
+//   trip({ waypoints, vehicle, destination, roundtrip, signal })
+//     -> Promise<{ order, distance, duration }>   (only when supportsTrip)
+//   table({ waypoints, vehicle, signal })
+//     -> Promise<{ durations, distances }>        (only when supportsTable)
+//
+// waypoints are { lat, lng } objects and vehicle is an entry from the vehicle
+// registry with its current attributes; each adapter picks its own profile
+// from vehicle.profiles, and applies the attributes as restrictions when
+// supportsRestrictions is set. Routes come back as
+//
+//   { coordinates: [[lat, lng]], distance, duration,
+//     legs: [{ distance, duration,
+//              steps: [{ instruction, name, distance, duration, location, coordinates }] }] }
+//
+// with distances in metres and durations in seconds. Tables are matrices indexed
+// [from][to] over the waypoints, with null where no route exists.
+import { routingConfig } from "../config";
+import { createOsrmProvider } from "./osrm";
+import { createOpenRouteServiceProvider } from "./openrouteservice";
+import { createGraphHopperProvider } from "./graphhopper";
+import { createValhallaProvider } from "./valhalla";
+
+const providers = {
+  osrm: createOsrmProvider,
+  openrouteservice: createOpenRouteServiceProvider,
+  graphhopper: createGraphHopperProvider,
+  valhalla: createValhallaProvider,
+};
+
+export const createRoutingProvider = ({ provider, ...options }) => {
+  const factory = providers[provider];
+  if (!factory) {
+    throw new Error(`Unknown routing provider "${provider}"`);
+  }
+  return factory(options);
+};
+
+export const routingProvider = createRoutingProvider(routingConfig);
+
+// Find the best stop order with the provider's trip service. Returns the new order as
+// indices into deliveryPoints, plus how much it saves over the current order.
+export const optimizeStopOrder = async (provider, start, deliveryPoints, vehicle, tripEnd) => {
+  const roundtrip = tripEnd === 'roundtrip';
+  const waypoints = [start, ...deliveryPoints];
+
+  const trip = await provider.trip({
+    waypoints,
+    vehicle,
+    destination: tripEnd === 'last' ? 'last' : 'any',
+    roundtrip,
+  });
+
+  // Price the current order the same way, returning to the start for round trips
+  const [baseline] = await provider.route({
+    waypoints: roundtrip ? [...waypoints, start] : waypoints,
+    vehicle,
+  });
+
+  return {
+    order: trip.order,
+    distanceSaved: Math.max(0, baseline.distance - trip.distance),
+    durationSaved: Math.max(0, baseline.duration - trip.duration),
+  };
+};
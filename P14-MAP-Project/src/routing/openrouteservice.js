@@ -0,0 +1,79 @@
+// OpenRouteService adapter (https://openrouteservice.org/dev/#/api-docs/v2/directions)
+
+// ORS only applies physical restrictions to the HGV profile
+const buildRestrictions = ({ height, weight, axleLoad, hazmat }) => {
+  const restrictions = {};
+  if (height != null) restrictions.height = height;
+  if (weight != null) restrictions.weight = weight;
+  if (axleLoad != null) restrictions.axleload = axleLoad;
+  if (hazmat) restrictions.hazmat = true;
+  return restrictions;
+};
+
+const normalizeRoute = (feature) => {
+  const coordinates = feature.geometry.coordinates.map((c) => [c[1], c[0]]);
+  return {
+    coordinates,
+    distance: feature.properties.summary.distance || 0,
+    duration: feature.properties.summary.duration || 0,
+    legs: feature.properties.segments.map((segment) => ({
+      distance: segment.distance || 0,
+      duration: segment.duration || 0,
+      steps: segment.steps.map((step) => {
+        const [from, to] = step.way_points;
+        return {
+          instruction: step.instruction,
+          name: step.name === '-' ? '' : step.name,
+          distance: step.distance,
+          duration: step.duration,
+          location: { lat: coordinates[from][0], lng: coordinates[from][1] },
+          coordinates: coordinates.slice(from, to + 1),
+        };
+      }),
+    })),
+  };
+};
+
+export const createOpenRouteServiceProvider = ({ url = 'https://api.openrouteservice.org', apiKey } = {}) => ({
+  id: 'openrouteservice',
+  supportsTrip: false,
+  supportsTable: false,
+  supportsRestrictions: true,
+
+  route: async ({ waypoints, vehicle, alternatives = false, signal }) => {
+    const profile = vehicle.profiles.openrouteservice;
+    const body = {
+      coordinates: waypoints.map((p) => [p.lng, p.lat]),
+      instructions: true,
+    };
+    if (profile === 'driving-hgv') {
+      body.options = {
+        vehicle_type: 'hgv',
+        profile_params: { restrictions: buildRestrictions(vehicle.attributes) },
+      };
+    }
+    // ORS rejects maximum_speed below 80 km/h
+    if (profile.startsWith('driving') && vehicle.attributes.maxSpeed >= 80) {
+      body.maximum_speed = vehicle.attributes.maxSpeed;
+    }
+    // ORS only computes alternatives between two points
+    if (alternatives && waypoints.length === 2) {
+      body.alternative_routes = { target_count: 3 };
+    }
+
+    const response = await fetch(`${url}/v2/directions/${profile}/geojson`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey ? { Authorization: apiKey } : {}),
+      },
+      body: JSON.stringify(body),
+      signal,
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error?.message || 'OpenRouteService request failed');
+    }
+    return data.features.map(normalizeRoute);
+  },
+});
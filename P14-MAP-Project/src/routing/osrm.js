@@ -0,0 +1,118 @@
+// OSRM adapter (https://project-osrm.org/docs/v5.24.0/api/)
+
+const compassDirections = ['north', 'northeast', 'east', 'southeast', 'south', 'southwest', 'west', 'northwest'];
+
+// Build a readable instruction from an OSRM step maneuver
+const formatInstruction = (step) => {
+  const { type, modifier, bearing_after: bearing, exit } = step.maneuver;
+  const onto = step.name ? ` onto ${step.name}` : '';
+  const turn = modifier === 'uturn' ? 'Make a U-turn' : `Turn ${modifier}`;
+
+  switch (type) {
+    case 'depart':
+      return `Head ${compassDirections[Math.round(bearing / 45) % 8]}${step.name ? ` on ${step.name}` : ''}`;
+    case 'arrive':
+      return modifier === 'left' || modifier === 'right'
+        ? `Arrive at your stop, on the ${modifier}`
+        : 'Arrive at your stop';
+    case 'turn':
+    case 'end of road':
+      return modifier === 'straight' ? `Continue straight${onto}` : `${turn}${onto}`;
+    case 'merge':
+      return `Merge${modifier ? ` ${modifier}` : ''}${onto}`;
+    case 'on ramp':
+      return `Take the ramp${modifier ? ` on the ${modifier}` : ''}${onto}`;
+    case 'off ramp':
+      return `Take the exit${modifier ? ` on the ${modifier}` : ''}${onto}`;
+    case 'fork':
+      return `Keep ${modifier || 'straight'} at the fork${onto}`;
+    case 'roundabout':
+    case 'rotary':
+      return exit ? `Enter the roundabout and take exit ${exit}${onto}` : `Enter the roundabout${onto}`;
+    case 'roundabout turn':
+      return `At the roundabout, turn ${modifier}${onto}`;
+    case 'exit roundabout':
+    case 'exit rotary':
+      return `Exit the roundabout${onto}`;
+    default:
+      return modifier && modifier !== 'straight' ? `Continue ${modifier}${onto}` : `Continue${onto}`;
+  }
+};
+
+const toLatLngs = (coordinates) => coordinates.map((c) => [c[1], c[0]]);
+
+const normalizeRoute = (route) => ({
+  coordinates: toLatLngs(route.geometry.coordinates),
+  distance: route.distance,
+  duration: route.duration,
+  legs: route.legs.map((leg) => ({
+    distance: leg.distance,
+    duration: leg.duration,
+    steps: leg.steps.map((step) => ({
+      instruction: formatInstruction(step),
+      name: step.name,
+      distance: step.distance,
+      duration: step.duration,
+      location: { lat: step.maneuver.location[1], lng: step.maneuver.location[0] },
+      coordinates: toLatLngs(step.geometry.coordinates),
+    })),
+  })),
+});
+
+export const createOsrmProvider = ({ url = 'https://router.project-osrm.org' } = {}) => {
+  // OSRM servers are built per profile, so vehicle restrictions can't be passed per request
+  const request = async (service, waypoints, vehicle, params, signal) => {
+    const coordsList = waypoints.map((p) => `${p.lng},${p.lat}`).join(';');
+    const response = await fetch(
+      `${url}/${service}/v1/${vehicle.profiles.osrm}/${coordsList}?${new URLSearchParams(params)}`,
+      { signal }
+    );
+    const data = await response.json();
+    if (data.code !== 'Ok') {
+      throw new Error(data.message || `OSRM ${service} request failed`);
+    }
+    return data;
+  };
+
+  return {
+    id: 'osrm',
+    supportsTrip: true,
+    supportsTable: true,
+    supportsRestrictions: false,
+
+    route: async ({ waypoints, vehicle, alternatives = false, signal }) => {
+      const data = await request('route', waypoints, vehicle, {
+        overview: 'full',
+        geometries: 'geojson',
+        steps: 'true',
+        alternatives: String(alternatives),
+      }, signal);
+      return data.routes.map(normalizeRoute);
+    },
+
+    // Reorder waypoints[1..] for the shortest trip; the first waypoint stays fixed
+    trip: async ({ waypoints, vehicle, destination = 'any', roundtrip = false, signal }) => {
+      const data = await request('trip', waypoints, vehicle, {
+        source: 'first',
+        destination,
+        roundtrip: String(roundtrip),
+        overview: 'false',
+      }, signal);
+
+      // waypoints are in input order; waypoint_index is each one's position in the trip
+      const order = data.waypoints
+        .map((wp, inputIndex) => ({ inputIndex, tripIndex: wp.waypoint_index }))
+        .filter((wp) => wp.inputIndex > 0)
+        .sort((a, b) => a.tripIndex - b.tripIndex)
+        .map((wp) => wp.inputIndex - 1);
+
+      return { order, distance: data.trips[0].distance, duration: data.trips[0].duration };
+    },
+
+    // Travel times and distances between every pair of waypoints
+    table: async ({ waypoints, vehicle, signal }) => {
+      const data = await request('table', waypoints, vehicle, { annotations: 'duration,distance' }, signal);
+      return { durations: data.durations, distances: data.distances };
+    },
+  };
+};
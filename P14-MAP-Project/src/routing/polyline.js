@@ -0,0 +1,28 @@
+// Decode an encoded polyline (Google format) into [lat, lng] pairs.
+// Valhalla uses 6 digits of precision, most other services use 5.
+export const decodePolyline = (encoded, precision = 5) => {
+  const factor = 10 ** precision;
+  const coordinates = [];
+  let index = 0;
+  let lat = 0;
+  let lng = 0;
+
+  const nextValue = () => {
+    let result = 0;
+    let shift = 0;
+    let byte;
+    do {
+      byte = encoded.charCodeAt(index++) - 63;
+      result |= (byte & 0x1f) << shift;
+      shift += 5;
+    } while (byte >= 0x20);
+    return result & 1 ? ~(result >> 1) : result >> 1;
+  };
+
+  while (index < encoded.length) {
+    lat += nextValue();
+    lng += nextValue();
+    coordinates.push([lat / factor, lng / factor]);
+  }
+  return coordinates;
+};
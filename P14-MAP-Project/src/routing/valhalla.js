@@ -0,0 +1,75 @@
+// Valhalla adapter (https://valhalla.github.io/valhalla/api/turn-by-turn/api-reference/)
+import { decodePolyline } from "./polyline";
+
+// Costing options for the vehicle's profile, with its restrictions folded in
+const buildCosting = ({ profiles, attributes }) => {
+  const { costing, ...options } = profiles.valhalla;
+  const { height, weight, axleLoad, maxSpeed, hazmat } = attributes;
+  if (height != null) options.height = height;
+  if (weight != null) options.weight = weight;
+  if (axleLoad != null) options.axle_load = axleLoad;
+  if (maxSpeed != null) options.top_speed = maxSpeed;
+  if (hazmat) options.hazmat = true;
+  return { costing, costing_options: { [costing]: options } };
+};
+
+// Valhalla reports lengths in kilometres
+const normalizeTrip = (trip) => {
+  const legs = trip.legs.map((leg) => {
+    const coordinates = decodePolyline(leg.shape, 6);
+    return {
+      coordinates,
+      distance: leg.summary.length * 1000,
+      duration: leg.summary.time,
+      steps: leg.maneuvers.map((maneuver) => ({
+        instruction: maneuver.instruction,
+        name: maneuver.street_names ? maneuver.street_names.join(', ') : '',
+        distance: maneuver.length * 1000,
+        duration: maneuver.time,
+        location: {
+          lat: coordinates[maneuver.begin_shape_index][0],
+          lng: coordinates[maneuver.begin_shape_index][1],
+        },
+        coordinates: coordinates.slice(maneuver.begin_shape_index, maneuver.end_shape_index + 1),
+      })),
+    };
+  });
+
+  return {
+    coordinates: legs.flatMap((leg) => leg.coordinates),
+    distance: trip.summary.length * 1000,
+    duration: trip.summary.time,
+    legs: legs.map(({ distance, duration, steps }) => ({ distance, duration, steps })),
+  };
+};
+
+export const createValhallaProvider = ({ url = 'https://valhalla1.openstreetmap.de', apiKey } = {}) => ({
+  id: 'valhalla',
+  supportsTrip: false,
+  supportsTable: false,
+  supportsRestrictions: true,
+
+  route: async ({ waypoints, vehicle, alternatives = false, signal }) => {
+    const body = {
+      locations: waypoints.map((p) => ({ lat: p.lat, lon: p.lng })),
+      ...buildCosting(vehicle),
+      directions_options: { units: 'kilometers' },
+    };
+    // Valhalla only computes alternatives between two points
+    if (alternatives && waypoints.length === 2) {
+      body.alternates = 2;
+    }
+
+    const response = await fetch(`${url}/route${apiKey ? `?api_key=${encodeURIComponent(apiKey)}` : ''}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+      signal,
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || 'Valhalla request failed');
+    }
+    return [data.trip, ...(data.alternates || []).map((alternate) => alternate.trip)].map(normalizeTrip);
+  },
+});
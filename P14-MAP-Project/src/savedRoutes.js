@@ -0,0 +1,64 @@
+// Saved routes library, kept in localStorage
+//
+// A saved route is { id, name, savedAt, itinerary, distance, duration }, where
+// itinerary is the object also used for shared links (see share.js)
+// and distance/duration are the last computed totals (null if never routed).
+// Its stops carry no ids: stop statuses belong to one run of a route, not to
+// every day it is loaded again.
+
+const STORAGE_KEY = 'customMap.savedRoutes';
+const EXPORT_VERSION = 1;
+
+export const createRouteId = () => `route-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+// The itinerary as it is kept in the library
+export const toSavedItinerary = (itinerary) => ({
+  ...itinerary,
+  stops: itinerary.stops.map((stop) => ({ ...stop, id: undefined })),
+});
+
+export const loadSavedRoutes = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+  } catch (error) {
+    console.error('Error reading saved routes:', error);
+    return [];
+  }
+};
+
+export const persistSavedRoutes = (routes) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(routes));
+};
+
+const isPlace = (place) =>
+  place && Number.isFinite(place.lat) && Number.isFinite(place.lng) && typeof place.name === 'string';
+
+const isSavedRoute = (route) =>
+  route &&
+  typeof route.name === 'string' &&
+  route.itinerary &&
+  (route.itinerary.start === null || isPlace(route.itinerary.start)) &&
+  Array.isArray(route.itinerary.stops) &&
+  route.itinerary.stops.every(isPlace);
+
+export const exportSavedRoutes = (routes) =>
+  JSON.stringify({ version: EXPORT_VERSION, routes }, null, 2);
+
+// Parse an exported library. Imported routes get fresh ids so they never clash
+// with existing ones; entries that don't look like routes are skipped.
+export const parseSavedRoutes = (text) => {
+  const data = JSON.parse(text);
+  const entries = Array.isArray(data) ? data : data.routes;
+  if (!Array.isArray(entries)) {
+    throw new Error('No routes found in file');
+  }
+  const routes = entries.filter(isSavedRoute).map((route) => ({
+    id: createRouteId(),
+    name: route.name,
+    savedAt: route.savedAt || new Date().toISOString(),
+    itinerary: toSavedItinerary(route.itinerary),
+    distance: route.distance ?? null,
+    duration: route.duration ?? null,
+  }));
+  return { routes, skipped: entries.length - routes.length };
+};
@@ -0,0 +1,69 @@
+// Delivery schedule: departure time, stop time windows and ETAs
+//
+// Times are "HH:MM" strings, as used by <input type="time">, and are worked on
+// as minutes after midnight. A stop's schedule is
+//
+//   { windowStart, windowEnd, service }
+//
+// where either end of the window may be empty and service is the minutes spent
+// at the stop. A window whose end is before its start runs past midnight, e.g.
+// 22:00–02:00.
+
+export const defaultDeparture = '08:00';
+
+export const parseTime = (text) => {
+  if (!text) return null;
+  const [hours, minutes] = text.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Times past midnight get a "+1d" suffix so multi-day routes stay readable
+export const formatTime = (minutes) => {
+  const total = Math.round(minutes);
+  const days = Math.floor(total / 1440);
+  const inDay = total - days * 1440;
+  const clock = `${String(Math.floor(inDay / 60)).padStart(2, '0')}:${String(inDay % 60).padStart(2, '0')}`;
+  return days > 0 ? `${clock} +${days}d` : clock;
+};
+
+export const formatWindow = ({ windowStart, windowEnd } = {}) => {
+  if (!windowStart && !windowEnd) return '';
+  return `${windowStart || '…'}–${windowEnd || '…'}`;
+};
+
+const DAY = 1440;
+
+// The window as it falls on a given day (0 being the departure day), in minutes
+// from the departure day's midnight. An open end runs to the end of the day.
+const windowOnDay = (day, opens, closes) => {
+  const start = day * DAY + (opens ?? 0);
+  const end = day * DAY + (closes ?? DAY);
+  return [start, end < start ? end + DAY : end];
+};
+
+// Wait and lateness against the window of the day the stop is reached on. A window
+// running past midnight also covers the small hours of that day, left over from
+// the night before. Missing the window is always late: waiting for the next day's
+// window only happens once the route has crossed midnight by itself.
+const fitWindow = (arrival, opens, closes) => {
+  if (opens === null && closes === null) return { wait: 0, lateBy: 0 };
+  const day = Math.floor(arrival / DAY);
+  const [lastStart, lastEnd] = windowOnDay(day - 1, opens, closes);
+  if (arrival >= lastStart && arrival <= lastEnd) return { wait: 0, lateBy: 0 };
+  const [start, end] = windowOnDay(day, opens, closes);
+  return { wait: Math.max(0, start - arrival), lateBy: Math.max(0, arrival - end) };
+};
+
+// ETAs for each stop, given leg i runs into stop i. Arriving before a window opens
+// means waiting for it; arriving after it closes means the stop is late. Both count
+// as outside the window.
+export const computeSchedule = (departure, legs, stops) => {
+  let clock = parseTime(departure);
+  return stops.map((stop, i) => {
+    const { windowStart, windowEnd, service } = stop.schedule || {};
+    const arrival = clock + legs[i].duration / 60;
+    const { wait, lateBy } = fitWindow(arrival, parseTime(windowStart), parseTime(windowEnd));
+    clock = arrival + wait + (service || 0);
+    return { arrival, departure: clock, wait, lateBy, outsideWindow: wait > 0 || lateBy > 0 };
+  });
+};
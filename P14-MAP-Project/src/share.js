@@ -0,0 +1,127 @@
+// Shareable links
+//
+// The itinerary and map view live in the URL hash:
+//
+//   #route=<deflated JSON, base64url>&map=<zoom>/<lat>/<lng>
+//
+// An itinerary is { vehicle, departure, tripEnd, start, stops }, where tripEnd is
+// where the trip may end (see tripEndOptions in App.jsx), start (or null) and
+// each stop are { lat, lng, name, address }. Stops also carry their id, which
+// keeps their on-device status across reloads (see stopStatus.js), and may carry a
+// schedule ({ windowStart, windowEnd, service }, see schedule.js) and a demand
+// (the load it takes up in fleet planning, see fleet.js).
+
+const FORMAT_VERSION = 1;
+
+// 5 decimals is about a metre, plenty for a delivery stop
+const round = (value) => Math.round(value * 1e5) / 1e5;
+
+const toBase64Url = (bytes) => {
+  let binary = '';
+  bytes.forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (text) => {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+};
+
+const pipeBytes = async (bytes, transformStream) => {
+  const stream = new Blob([bytes]).stream().pipeThrough(transformStream);
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+const packSchedule = ({ windowStart, windowEnd, service }) => [windowStart || '', windowEnd || '', service || 0];
+const unpackSchedule = ([windowStart, windowEnd, service]) => ({ windowStart, windowEnd, service });
+
+// Optional fields come last and are left off when empty
+const packPlace = ({ lat, lng, name, address, schedule, demand, id }) => {
+  const packed = [
+    round(lat),
+    round(lng),
+    name,
+    address === name ? null : address,
+    schedule ? packSchedule(schedule) : null,
+    demand || null,
+    id || null,
+  ];
+  while (packed[packed.length - 1] === null) packed.pop();
+  return packed;
+};
+const unpackPlace = ([lat, lng, name, address, schedule, demand, id]) => ({
+  lat,
+  lng,
+  name,
+  address: address ?? name,
+  ...(schedule ? { schedule: unpackSchedule(schedule) } : {}),
+  ...(demand ? { demand } : {}),
+  ...(id ? { id } : {}),
+});
+
+export const encodeItinerary = async ({ vehicle, departure, tripEnd, start, stops }) => {
+  const payload = {
+    v: FORMAT_VERSION,
+    vehicle,
+    departure,
+    tripEnd,
+    start: start ? packPlace(start) : null,
+    stops: stops.map(packPlace),
+  };
+  const bytes = new TextEncoder().encode(JSON.stringify(payload));
+  return toBase64Url(await pipeBytes(bytes, new CompressionStream('deflate-raw')));
+};
+
+export const decodeItinerary = async (encoded) => {
+  const bytes = await pipeBytes(fromBase64Url(encoded), new DecompressionStream('deflate-raw'));
+  const payload = JSON.parse(new TextDecoder().decode(bytes));
+  if (payload.v !== FORMAT_VERSION) {
+    throw new Error(`Unsupported link format ${payload.v}`);
+  }
+  return {
+    vehicle: payload.vehicle,
+    departure: payload.departure,
+    tripEnd: payload.tripEnd,
+    start: payload.start ? unpackPlace(payload.start) : null,
+    stops: payload.stops.map(unpackPlace),
+  };
+};
+
+const readHashParams = () => new URLSearchParams(window.location.hash.slice(1));
+
+// The map view from the link, or null when there isn't a valid one
+export const readSharedMapView = () => {
+  const [zoom, lat, lng] = (readHashParams().get('map') || '').split('/').map(Number);
+  return [zoom, lat, lng].every(Number.isFinite) ? { zoom, center: [lat, lng] } : null;
+};
+
+// The itinerary from the link, or null when there is none or it can't be read
+export const readSharedItinerary = async () => {
+  const encoded = readHashParams().get('route');
+  if (!encoded) return null;
+  try {
+    return await decodeItinerary(encoded);
+  } catch (error) {
+    console.error('Error reading shared route:', error);
+    return null;
+  }
+};
+
+export const formatMapView = (map) => {
+  const { lat, lng } = map.getCenter();
+  return `${map.getZoom()}/${lat.toFixed(5)}/${lng.toFixed(5)}`;
+};
+
+// Update some hash params, leaving the others alone; null removes one.
+// replaceState keeps every edit from adding a history entry.
+export const writeShareHash = (updates) => {
+  const params = readHashParams();
+  Object.entries(updates).forEach(([key, value]) => {
+    if (value) params.set(key, value);
+    else params.delete(key);
+  });
+  const hash = params.toString();
+  window.history.replaceState(null, '', `${window.location.pathname}${window.location.search}${hash ? `#${hash}` : ''}`);
+};
@@ -0,0 +1,31 @@
+// Route simulation: a virtual vehicle driving along a route line, for training
+// and for trying out navigation without moving. It produces the same positions
+// as the GPS source (see navigation.js).
+import { haversine, bearing, interpolate } from "./geo";
+
+export const MIN_SPEED_FACTOR = 1;
+export const MAX_SPEED_FACTOR = 20;
+
+// Accuracy reported for simulated positions, in metres
+export const SIMULATED_ACCURACY = 5;
+
+// Cumulative distances along [[lat, lng]] coordinates
+export const indexLine = (coordinates) => {
+  const points = coordinates.map(([lat, lng]) => ({ lat, lng }));
+  const distances = [0];
+  for (let i = 1; i < points.length; i++) {
+    distances.push(distances[i - 1] + haversine(points[i - 1], points[i]));
+  }
+  return { points, distances, length: distances[distances.length - 1] };
+};
+
+// Point and heading the given number of metres along the line
+export const positionAlong = ({ points, distances }, distance) => {
+  let i = 1;
+  while (i < points.length - 1 && distances[i] < distance) i++;
+  const from = points[i - 1];
+  const to = points[i] || from;
+  const segmentLength = distances[i] - distances[i - 1];
+  const fraction = segmentLength > 0 ? Math.min(1, (distance - distances[i - 1]) / segmentLength) : 0;
+  return { ...interpolate(from, to, fraction), heading: segmentLength > 0 ? bearing(from, to) : null };
+};
@@ -0,0 +1,82 @@
+// Stop status tracking for the driver's shift
+//
+// A stop's status is
+//
+//   { state, at, history: [{ state, at }], note, photo, signature }
+//
+// where at is an ISO timestamp of the last change and photo/signature are image
+// data URLs captured on the device. Statuses are kept on this device only, one
+// storage entry per stop id. Stop ids travel with shared links, so reloading the
+// page finds them again, and saving one stop never rewrites the others' photos.
+// Other tabs may be running other itineraries, so entries are only forgotten when
+// their stop is removed here or once they are too old to belong to any shift.
+
+const STORAGE_PREFIX = 'customMap.stopStatus.';
+
+// Longest side of a stored proof-of-delivery photo, to keep localStorage small
+const PHOTO_MAX_SIZE = 800;
+
+// Statuses untouched for this long are forgotten, in milliseconds
+const STATUS_MAX_AGE = 7 * 24 * 60 * 60 * 1000;
+
+export const stopStates = [
+  { value: 'pending', label: 'Pending', color: '#6c757d' },
+  { value: 'arrived', label: 'Arrived', color: '#007bff' },
+  { value: 'delivered', label: 'Delivered', color: '#28a745' },
+  { value: 'failed', label: 'Failed', color: '#dc3545' },
+  { value: 'skipped', label: 'Skipped', color: '#f5a623' },
+];
+
+export const getStopState = (status) =>
+  stopStates.find((option) => option.value === status?.state) || stopStates[0];
+
+// Delivered, failed and skipped stops need no further visit
+export const isStopFinished = (status) => ['delivered', 'failed', 'skipped'].includes(status?.state);
+
+// Move a stop to a new state, recording when it happened
+export const changeStopState = (status, state) => {
+  const at = new Date().toISOString();
+  return { ...status, state, at, history: [...(status?.history || []), { state, at }] };
+};
+
+// Stored entries are { status, savedAt }
+const readEntry = (key) => {
+  try {
+    return JSON.parse(localStorage.getItem(key)) || null;
+  } catch (error) {
+    console.error('Error reading stop status:', error);
+    return null;
+  }
+};
+
+export const loadStopStatus = (id) => readEntry(STORAGE_PREFIX + id)?.status;
+
+// Store one stop's status, or forget it when there is none. Throws when storage is full.
+export const persistStopStatus = (id, status) => {
+  if (status) {
+    localStorage.setItem(STORAGE_PREFIX + id, JSON.stringify({ status, savedAt: Date.now() }));
+  } else {
+    localStorage.removeItem(STORAGE_PREFIX + id);
+  }
+};
+
+// Forget statuses past STATUS_MAX_AGE, except those of the stops in ids
+export const expireStopStatuses = (ids) => {
+  const keep = new Set(ids.map((id) => STORAGE_PREFIX + id));
+  Object.keys(localStorage)
+    .filter((key) => key.startsWith(STORAGE_PREFIX) && !keep.has(key))
+    .filter((key) => !(readEntry(key)?.savedAt > Date.now() - STATUS_MAX_AGE))
+    .forEach((key) => localStorage.removeItem(key));
+};
+
+// Read a photo as a downscaled JPEG data URL
+export const readPhoto = async (file) => {
+  const bitmap = await createImageBitmap(file);
+  const scale = Math.min(1, PHOTO_MAX_SIZE / Math.max(bitmap.width, bitmap.height));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(bitmap.width * scale);
+  canvas.height = Math.round(bitmap.height * scale);
+  canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close();
+  return canvas.toDataURL('image/jpeg', 0.7);
+};
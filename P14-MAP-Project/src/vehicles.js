@@ -0,0 +1,124 @@
+// Vehicle profile registry
+//
+// Each option declares the profile it maps to on every routing provider (a
+// costing model and its options for Valhalla), plus the physical attributes
+// passed to providers that support restrictions. averageSpeed (km/h) estimates
+// travel times when the router has no matrix service, and is the speed the
+// route simulator drives at.
+// Attributes a vehicle doesn't list are not editable for it; null means "no limit".
+import { FaTruck, FaCar, FaBus, FaWalking, FaBicycle, FaMotorcycle } from "react-icons/fa";
+
+export const vehicleOptions = [
+    {
+        value: 'driving-car',
+        label: 'Car',
+        icon: FaCar,
+        profiles: { osrm: 'driving', openrouteservice: 'driving-car', graphhopper: 'car', valhalla: { costing: 'auto' } },
+        averageSpeed: 40,
+        attributes: { maxSpeed: null },
+    },
+    {
+        value: 'driving-hgv',
+        label: 'Truck',
+        icon: FaTruck,
+        profiles: { osrm: 'driving', openrouteservice: 'driving-hgv', graphhopper: 'truck', valhalla: { costing: 'truck' } },
+        averageSpeed: 35,
+        attributes: { height: 4, weight: 18, axleLoad: 10, maxSpeed: 90, hazmat: false },
+    },
+    {
+        value: 'cycling-regular',
+        label: 'Bicycle (Reg)',
+        icon: FaBicycle,
+        profiles: { osrm: 'cycling', openrouteservice: 'cycling-regular', graphhopper: 'bike', valhalla: { costing: 'bicycle', bicycle_type: 'Hybrid' } },
+        averageSpeed: 15,
+        attributes: {},
+    },
+    {
+        value: 'cycling-road',
+        label: 'Bicycle (Road)',
+        icon: FaBicycle,
+        profiles: { osrm: 'cycling', openrouteservice: 'cycling-road', graphhopper: 'racingbike', valhalla: { costing: 'bicycle', bicycle_type: 'Road' } },
+        averageSpeed: 20,
+        attributes: {},
+    },
+    {
+        value: 'cycling-mountain',
+        label: 'Bicycle (MTB)',
+        icon: FaBicycle,
+        profiles: { osrm: 'cycling', openrouteservice: 'cycling-mountain', graphhopper: 'mtb', valhalla: { costing: 'bicycle', bicycle_type: 'Mountain' } },
+        averageSpeed: 12,
+        attributes: {},
+    },
+    {
+        value: 'walking',
+        label: 'Walking',
+        icon: FaWalking,
+        profiles: { osrm: 'foot', openrouteservice: 'foot-walking', graphhopper: 'foot', valhalla: { costing: 'pedestrian' } },
+        averageSpeed: 5,
+        attributes: {},
+    },
+    {
+        value: 'foot',
+        label: 'Foot',
+        icon: FaWalking,
+        profiles: { osrm: 'foot', openrouteservice: 'foot-hiking', graphhopper: 'hike', valhalla: { costing: 'pedestrian' } },
+        averageSpeed: 4,
+        attributes: {},
+    },
+    {
+        value: 'motorcycle',
+        label: 'Motorcycle',
+        icon: FaMotorcycle,
+        profiles: { osrm: 'driving', openrouteservice: 'driving-car', graphhopper: 'car', valhalla: { costing: 'motorcycle' } },
+        averageSpeed: 40,
+        attributes: { maxSpeed: null },
+    },
+    {
+        value: 'bus',
+        label: 'Bus',
+        icon: FaBus,
+        profiles: { osrm: 'driving', openrouteservice: 'driving-hgv', graphhopper: 'truck', valhalla: { costing: 'bus' } },
+        averageSpeed: 30,
+        attributes: { height: 3.5, weight: 18, axleLoad: 11.5, maxSpeed: 80 },
+    },
+    {
+        value: 'scooter',
+        label: 'Scooter',
+        icon: FaMotorcycle,
+        profiles: { osrm: 'driving', openrouteservice: 'driving-car', graphhopper: 'scooter', valhalla: { costing: 'motor_scooter' } },
+        averageSpeed: 30,
+        attributes: { maxSpeed: 45 },
+    },
+];
+
+// Editable attributes, in the order the settings dialog shows them
+export const vehicleAttributeFields = [
+    { key: 'height', label: 'Height', unit: 'm' },
+    { key: 'weight', label: 'Weight', unit: 't' },
+    { key: 'axleLoad', label: 'Axle load', unit: 't' },
+    { key: 'maxSpeed', label: 'Max speed', unit: 'km/h' },
+    { key: 'hazmat', label: 'Hazardous goods', type: 'boolean' },
+];
+
+const ATTRIBUTES_STORAGE_KEY = 'customMap.vehicleAttributes';
+
+// Registry defaults, overridden by whatever the user saved in the settings dialog
+export const loadVehicleAttributes = () => {
+  const defaults = Object.fromEntries(vehicleOptions.map((option) => [option.value, option.attributes]));
+  try {
+    const saved = JSON.parse(localStorage.getItem(ATTRIBUTES_STORAGE_KEY)) || {};
+    Object.keys(defaults).forEach((value) => {
+      defaults[value] = { ...defaults[value], ...saved[value] };
+    });
+  } catch (error) {
+    console.error('Error reading vehicle settings:', error);
+  }
+  return defaults;
+};
+
+export const saveVehicleAttributes = (attributes) => {
+  localStorage.setItem(ATTRIBUTES_STORAGE_KEY, JSON.stringify(attributes));
+};
+
+export const getVehicleOption = (value) =>
+  vehicleOptions.find((option) => option.value === value) || vehicleOptions[0];